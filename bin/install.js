@@ -6,13 +6,17 @@ const chalk = require('chalk');
 const readline = require('readline');
 const packageJson = require('../package.json');
 
-// Create readline interface for interactive prompts
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// Readline interface for interactive prompts, created on first use so that
+// non-interactive commands don't hold stdin open
+let rl = null;
 
 function askQuestion(question) {
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+  }
   return new Promise((resolve) => {
     rl.question(question, (answer) => {
       resolve(answer);
@@ -20,106 +24,268 @@ function askQuestion(question) {
   });
 }
 
+function closePrompt() {
+  if (rl) {
+    rl.close();
+    rl = null;
+  }
+}
+
 program
   .name('memberstack-ai-docs')
   .description('Install Memberstack AI documentation for your project')
-  .version(packageJson.version);
+  .version(packageJson.version)
+  // Root options go before a subcommand, so `search --json` stays the search's own flag
+  .enablePositionalOptions();
 
 program
   .option('--update', 'Update existing Memberstack documentation')
   .option('--remove', 'Remove Memberstack documentation from your project')
   .option('--validate', 'Validate current installation')
-  .option('--dry-run', 'Preview changes without modifying files')
-  .option('--force', 'Force installation even if files exist')
+  .option('--rollback', 'Undo the last install or update using the backups in .memberstack/backups/')
+  .option('--dry-run', 'Show a diff of every file that would change, without modifying anything')
+  .option('--json', 'With --dry-run, print the change plan as JSON')
+  .option('--force', 'Apply repairs to files with damaged Memberstack markers without asking')
   .option('--verbose', 'Show detailed output')
-  .option('--ai <tool>', 'Specify AI tool: claude, cursor, codex, or all (default: asks interactively)')
-  .parse(process.argv);
+  .option('--ai <tools>', 'AI tools to install for, comma-separated (claude, cursor, codex, copilot, windsurf, cline, aider, gemini) or all (default: asks interactively)')
+  .option('--framework <name>', 'Tailor the docs to a framework: react, next, vue, vanilla or webflow (default: detected from the project)')
+  .option('--profile <profile>', 'Which method categories to install: minimal, standard or full (default: full)')
+  .option('--include <categories>', 'Categories to install, comma-separated (e.g. teams,data-tables); adds to --profile if given')
+  .option('--exclude <categories>', 'Categories to leave out, comma-separated (e.g. content,teams)')
+  .option('--types <file>', 'Also write the Memberstack TypeScript declarations into the project, e.g. src/types/memberstack.d.ts')
+  .option('--cursor-format <format>', 'Cursor rules format: legacy (.cursorrules) or mdc (.cursor/rules/memberstack.mdc)')
+  .option('--no-mcp', 'Skip registering the Memberstack MCP server')
+  .option('--offline', 'Install the docs bundled with this package without any network access')
+  .option('--docs-version <tag>', 'Install the docs from a release tag (default: the docs bundled with this package)')
+  .option('--docs-mirror <url>', 'Base URL to download docs from instead of GitHub (or set MEMBERSTACK_DOCS_MIRROR)')
+  .option('--root <dir>', 'Project root to install into (default: the current directory)')
+  .option('--workspaces', 'Share one .memberstack/ at the root and add agent files to each workspace package that uses @memberstack/dom')
+  .action(() => main());
+
+program
+  .command('search <query...>')
+  .description('Search the installed Memberstack method index')
+  .option('--json', 'Output results as JSON')
+  .option('--limit <n>', 'Maximum number of results', '10')
+  .action((queryParts, commandOptions) => runSearch(queryParts.join(' '), commandOptions));
+
+program
+  .command('check [paths...]')
+  .description('Check the Memberstack calls in your JS/TS files against the documented methods and signatures')
+  .option('--format <format>', 'Output format: text (file:line:column), json or sarif', 'text')
+  .action((paths, commandOptions) => runCheck(paths, commandOptions));
+
+program
+  .command('error <code>')
+  .description('Show a documented Memberstack error code: what it means, which methods raise it and how to handle it')
+  .option('--json', 'Output the error as JSON')
+  .action((code, commandOptions) => runError(code, commandOptions));
+
+program
+  .command('mcp')
+  .description('Start a stdio MCP server that exposes the Memberstack docs as tools')
+  .action(() => runMcpServer());
 
 const options = program.opts();
 
-async function selectAITools() {
+// detected: ids of the tools already set up in the project, offered as the default
+async function selectAITools(detected) {
+  const targets = installer.loadTargets();
+
   console.log(chalk.cyan('Which AI assistant are you using?\n'));
-  console.log('  1) Claude Code');
-  console.log('  2) Cursor');
-  console.log('  3) Codex');
-  console.log('  4) All three\n');
-  
-  const choice = await askQuestion(chalk.yellow('Select (1-4): '));
+  targets.forEach((target, i) => {
+    console.log(`  ${i + 1}) ${target.label}` + (detected.includes(target.id) ? chalk.gray(' (detected)') : ''));
+  });
+  console.log(`  ${targets.length + 1}) All of the above\n`);
   
-  switch(choice.trim()) {
-    case '1':
-      return ['claude'];
-    case '2':
-      return ['cursor'];
-    case '3':
-      return ['codex'];
-    case '4':
-      return ['claude', 'cursor', 'codex'];
-    default:
-      console.log(chalk.yellow('\nInvalid choice. Installing for all supported tools.'));
-      return ['claude', 'cursor', 'codex'];
+  const hint = detected.length > 0 ? ', Enter for the detected ones' : '';
+  const choice = await askQuestion(chalk.yellow(`Select (1-${targets.length + 1}, or several separated by commas${hint}): `));
+  if (!choice.trim() && detected.length > 0) {
+    return detected;
+  }
+  const picks = choice.split(',').map(part => parseInt(part.trim(), 10));
+
+  if (picks.includes(targets.length + 1)) {
+    return targets.map(target => target.id);
+  }
+  if (picks.length > 0 && picks.every(pick => pick >= 1 && pick <= targets.length)) {
+    return [...new Set(picks.map(pick => targets[pick - 1].id))];
+  }
+
+  const defaults = targets.filter(target => target.default);
+  console.log(chalk.yellow(`\nInvalid choice. Installing for ${defaults.map(target => target.label).join(', ')}.`));
+  return defaults.map(target => target.id);
+}
+
+// --ai accepts a comma-separated list of target ids, or "all" for every registered target
+function parseAIOption(value) {
+  const targets = installer.loadTargets();
+  const ids = value.toLowerCase().split(',').map(id => id.trim()).filter(Boolean);
+
+  if (ids.includes('all') || ids.includes('both')) {
+    return targets.map(target => target.id);
+  }
+
+  const unknown = ids.filter(id => !targets.some(target => target.id === id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown AI tool '${unknown.join("', '")}'. Available: ${targets.map(target => target.id).join(', ')}, all`);
+  }
+  return ids;
+}
+
+// stdout carries the plan in --json mode, so progress output is dropped
+function log(...args) {
+  if (!options.json) {
+    console.log(...args);
   }
 }
 
 async function main() {
   try {
-    console.log(chalk.blue.bold('\n🚀 Memberstack AI Documentation Installer\n'));
+    if (options.json && !options.dryRun) {
+      throw new Error('--json is only supported with --dry-run');
+    }
+
+    log(chalk.blue.bold('\n🚀 Memberstack AI Documentation Installer\n'));
+
+    if (options.root) {
+      installer.setProjectRoot(options.root);
+    }
+
+    // Ask before risky edits when someone is at the terminal
+    const interactive = process.stdout.isTTY && !process.env.CI && !options.json;
+    const confirm = interactive
+      ? async question => /^y(es)?$/i.test((await askQuestion(chalk.yellow(question))).trim())
+      : null;
 
     // Handle special operations first
-    if (options.remove) {
+    if (options.rollback) {
+      await installer.rollback(options);
+      closePrompt();
+      return;
+    } else if (options.remove) {
       await installer.remove(options);
-      rl.close();
+      closePrompt();
       return;
     } else if (options.validate) {
-      await installer.validate(options);
-      rl.close();
+      const valid = await installer.validate(options);
+      closePrompt();
+      // Non-zero exit so --validate can gate commits and CI
+      if (!valid) {
+        process.exitCode = 1;
+      }
       return;
     } else if (options.update) {
-      await installer.update(options);
-      rl.close();
+      await installer.update({ ...options, confirm });
+      closePrompt();
       return;
     }
 
     // For installation, determine which AI tools to support
     let aiTools;
     
+    const config = installer.getConfig();
+    
     if (options.ai) {
       // Use command line option
-      const aiOption = options.ai.toLowerCase();
-      if (aiOption === 'both' || aiOption === 'all') {
-        aiTools = ['claude', 'cursor', 'codex'];
-      } else if (aiOption === 'claude') {
-        aiTools = ['claude'];
-      } else if (aiOption === 'cursor') {
-        aiTools = ['cursor'];
-      } else if (aiOption === 'codex') {
-        aiTools = ['codex'];
-      } else {
-        console.log(chalk.yellow(`Unknown AI tool '${options.ai}'. Installing for all.`));
-        aiTools = ['claude', 'cursor', 'codex'];
-      }
-    } else if (process.stdout.isTTY && !process.env.CI) {
+      aiTools = parseAIOption(options.ai);
+    } else if (config.aiTools) {
+      // Reproduce the setup recorded in the project config
+      aiTools = config.aiTools;
+      log(chalk.gray(`Using AI tools from ${config.configFile}`));
+    } else if (interactive) {
       // Interactive mode (default if running in terminal and not CI)
-      aiTools = await selectAITools();
+      aiTools = await selectAITools(installer.detectInstalledTools(options));
     } else {
-      // Non-interactive (e.g., CI environment) - install all supported tools
-      aiTools = ['claude', 'cursor', 'codex'];
+      // Non-interactive (e.g., CI environment) - the tools already set up, else the defaults
+      const detected = installer.detectInstalledTools(options);
+      aiTools = detected.length > 0
+        ? detected
+        : installer.loadTargets().filter(target => target.default).map(target => target.id);
+      if (detected.length > 0) {
+        log(chalk.gray(`Detected ${installer.getTargets(detected).map(target => target.label).join(', ')}`));
+      }
     }
 
-    console.log(chalk.green(`\n✓ Installing for: ${aiTools.map(t => t === 'claude' ? 'Claude Code' : t === 'cursor' ? 'Cursor' : 'Codex').join(' and ')}\n`));
+    log(chalk.green(`\n✓ Installing for: ${installer.getTargets(aiTools).map(target => target.label).join(', ')}\n`));
 
     // Pass the selected tools to the installer
-    await installer.install({ ...options, aiTools });
+    await installer.install({ ...options, aiTools, confirm });
     
-    rl.close();
+    closePrompt();
   } catch (error) {
-    console.error(chalk.red('\n❌ Error:'), error.message);
+    if (options.json) {
+      console.log(JSON.stringify({ dryRun: Boolean(options.dryRun), error: error.message }, null, 2));
+    } else {
+      console.error(chalk.red('\n❌ Error:'), error.message);
+    }
     if (options.verbose) {
       console.error(error.stack);
     }
-    rl.close();
+    closePrompt();
+    process.exit(1);
+  }
+}
+
+async function runSearch(query, commandOptions) {
+  try {
+    if (options.root) {
+      installer.setProjectRoot(options.root);
+    }
+    await installer.search(query, commandOptions);
+  } catch (error) {
+    if (commandOptions.json) {
+      console.log(JSON.stringify({ query, error: error.message }, null, 2));
+    } else {
+      console.error(chalk.red('❌ Error:'), error.message);
+    }
+    process.exit(1);
+  }
+}
+
+async function runCheck(paths, commandOptions) {
+  try {
+    if (options.root) {
+      installer.setProjectRoot(options.root);
+    }
+    const diagnostics = await installer.check(paths, commandOptions);
+    // Errors fail the run, so check can gate commits and CI; warnings don't
+    if (diagnostics.some(diagnostic => diagnostic.level === 'error')) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(chalk.red('❌ Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+async function runError(code, commandOptions) {
+  try {
+    if (options.root) {
+      installer.setProjectRoot(options.root);
+    }
+    await installer.error(code, commandOptions);
+  } catch (error) {
+    if (commandOptions.json) {
+      console.log(JSON.stringify({ code, error: error.message }, null, 2));
+    } else {
+      console.error(chalk.red('❌ Error:'), error.message);
+    }
+    process.exit(1);
+  }
+}
+
+async function runMcpServer() {
+  try {
+    // stdout carries the protocol, so nothing else may be printed there
+    if (options.root) {
+      installer.setProjectRoot(options.root);
+    }
+    await installer.mcp();
+  } catch (error) {
+    console.error(`memberstack-ai-docs mcp: ${error.message}`);
     process.exit(1);
   }
 }
 
-main();
+program.parseAsync(process.argv);
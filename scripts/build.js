@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { OUTPUTS, buildDocs, findStale, findRemovedMethods } = require('../src/docs-builder');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Builds complete.md, the index and the quick reference from the numbered chapter
+// files. With --check nothing is written; it fails if the committed files are stale.
+// Either way it fails if the build drops a method the committed index documents,
+// unless --allow-removed says the removal is intended.
+function build({ check = false, allowRemoved = false } = {}) {
+  try {
+    const outputs = buildDocs(ROOT_DIR);
+    const removed = findRemovedMethods(ROOT_DIR, outputs);
+    if (removed.length > 0 && !allowRemoved) {
+      console.error(`✗ The rebuilt index no longer documents ${removed.length} method${removed.length === 1 ? '' : 's'}: ${removed.join(', ')}`);
+      console.error('  Give them a section the indexer recognizes or list them under "methods" in src/categories.json;');
+      console.error('  if they were removed on purpose, run node scripts/build.js --allow-removed');
+      process.exit(1);
+    }
+
+    if (check) {
+      const stale = findStale(ROOT_DIR, outputs);
+      if (stale.length > 0) {
+        console.error(`✗ Out of date with the chapter files: ${stale.map(output => output.path).join(', ')}`);
+        console.error('  Run npm run build and commit the result');
+        process.exit(1);
+      }
+      console.log('✓ Generated docs match the chapter files');
+      return;
+    }
+
+    console.log('Building Memberstack documentation from the chapter files...');
+    outputs.forEach(output => {
+      fs.writeFileSync(path.join(ROOT_DIR, output.path), output.content);
+      console.log(`✓ Wrote ${output.path}`);
+    });
+
+    const index = JSON.parse(outputs.find(output => output.path === OUTPUTS.index).content);
+    console.log(`✓ Index generated with ${index.totalMethods} methods`);
+    console.log(`✓ ${index.methodDetails.filter(method => method.chunk).length} method chunks, ${index.topics.length} topic chunks`);
+  } catch (error) {
+    console.error('Error building docs:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  build({ check: process.argv.includes('--check'), allowRemoved: process.argv.includes('--allow-removed') });
+}
+
+module.exports = build;
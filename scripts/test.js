@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+const TEST_DIR = path.join(__dirname, '..', 'test');
+
+// Runs test/*.test.js, or the files given on the command line. Each file exports
+// { 'what it checks': fn }; a test fails when fn throws or its promise rejects.
+async function run(files) {
+  let passed = 0;
+  let failed = 0;
+
+  for (const file of files) {
+    const tests = require(path.resolve(file));
+    for (const [name, test] of Object.entries(tests)) {
+      try {
+        await test();
+        passed++;
+        console.log(`✓ ${path.basename(file)}: ${name}`);
+      } catch (error) {
+        failed++;
+        console.error(`✗ ${path.basename(file)}: ${name}`);
+        console.error(`  ${(error.stack || String(error)).split('\n').join('\n  ')}`);
+      }
+    }
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  run(args.length > 0 ? args : fs.readdirSync(TEST_DIR)
+    .filter(file => file.endsWith('.test.js'))
+    .sort()
+    .map(file => path.join(TEST_DIR, file)));
+}
+
+module.exports = run;
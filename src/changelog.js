@@ -0,0 +1,55 @@
+// API differences between two method indexes, e.g. the installed docs and the ones
+// an update brings. The versions are the docs releases the caller installed them from
+// (index.version is only the index format):
+//
+//   {
+//     fromVersion: 'v1.2.0', toVersion: 'v1.3.0',
+//     added: [{ name, signature }],
+//     removed: [{ name, signature }],
+//     changed: [{ name, before: { signature, returns }, after: { signature, returns } }]
+//   }
+//
+// Methods either index leaves out on purpose (its "excluded" list) aren't compared,
+// so changing the installed categories doesn't read as API changes.
+function diffIndexes(before, after, { fromVersion = null, toVersion = null } = {}) {
+  const excluded = new Set([before, after].flatMap(index => (index.excluded ? index.excluded.methods : [])));
+  const byName = index => new Map((index.methodDetails || [])
+    .filter(method => !excluded.has(method.name))
+    .map(method => [method.name, method]));
+  const previous = byName(before);
+  const current = byName(after);
+  const shape = method => ({ signature: method.signature || null, returns: method.returns || null });
+
+  const changes = {
+    fromVersion,
+    toVersion,
+    added: [],
+    removed: [],
+    changed: []
+  };
+
+  current.forEach((method, name) => {
+    if (!previous.has(name)) {
+      changes.added.push({ name, signature: shape(method).signature });
+      return;
+    }
+    const old = shape(previous.get(name));
+    const updated = shape(method);
+    if (old.signature !== updated.signature || old.returns !== updated.returns) {
+      changes.changed.push({ name, before: old, after: updated });
+    }
+  });
+  previous.forEach((method, name) => {
+    if (!current.has(name)) {
+      changes.removed.push({ name, signature: shape(method).signature });
+    }
+  });
+
+  return changes;
+}
+
+function hasChanges(changes) {
+  return changes.added.length + changes.removed.length + changes.changed.length > 0;
+}
+
+module.exports = { diffIndexes, hasChanges };
@@ -0,0 +1,409 @@
+const fs = require('fs');
+const path = require('path');
+const MemberstackSearch = require('./search');
+const packageJson = require('../package.json');
+
+const SOURCE_EXTENSIONS = new Set(['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts']);
+const IGNORED_DIRS = new Set(['node_modules', 'dist', 'build', 'out', 'coverage', 'vendor']);
+// `memberstack.x(`, `this.memberstack.x(`, `window.$memberstackDom.x(` and `ms.x(`; `ms` only
+// counts in files that mention Memberstack, since it's a common name for milliseconds
+const CALL_PATTERN = /(?<![\w$.])(?:(?:window|this)\s*\.\s*)?(memberstack|\$memberstackDom|ms)\s*\??\.\s*([A-Za-z_$][\w$]*)\s*(?:\?\.\s*)?\(/g;
+
+// Names agents (and older versions of these docs) have used for documented methods
+const KNOWN_MISTAKES = {
+  logoutMember: 'logout',
+  openBillingPortal: 'launchStripeCustomerPortal',
+  createCheckoutSession: 'purchasePlansWithCheckout',
+  sendMemberEmailVerification: 'sendMemberVerificationEmail',
+  getMember: 'getCurrentMember'
+};
+
+const RULES = {
+  'unknown-method': {
+    level: 'error',
+    description: 'Calls a method that isn\'t in the Memberstack docs'
+  },
+  'excluded-method': {
+    level: 'warning',
+    description: 'Calls a documented method whose category the install left out'
+  },
+  'argument-count': {
+    level: 'warning',
+    description: 'Passes more or fewer arguments than the documented signature takes'
+  },
+  'argument-shape': {
+    level: 'error',
+    description: 'Passes a literal of the wrong kind, e.g. a string where the signature takes an object'
+  },
+  'missing-parameter': {
+    level: 'error',
+    description: 'Leaves out a required field of an object argument'
+  },
+  'unknown-parameter': {
+    level: 'warning',
+    description: 'Passes a field the documented signature doesn\'t have'
+  }
+};
+
+// The source with comments and the contents of strings blanked out (same length and line
+// breaks), so calls are only found in code and literals can still be told apart by their quotes
+function maskSource(source) {
+  let masked = '';
+  let i = 0;
+  const blank = text => text.replace(/[^\n]/g, ' ');
+
+  while (i < source.length) {
+    const rest = source.slice(i, i + 2);
+    if (rest === '//') {
+      const end = source.indexOf('\n', i);
+      const stop = end === -1 ? source.length : end;
+      masked += blank(source.slice(i, stop));
+      i = stop;
+    } else if (rest === '/*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      masked += blank(source.slice(i, stop));
+      i = stop;
+    } else if (`'"\``.includes(source[i])) {
+      const quote = source[i];
+      let end = i + 1;
+      while (end < source.length && source[end] !== quote && (quote === '`' || source[end] !== '\n')) {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      masked += quote + blank(source.slice(i + 1, end)) + (end < source.length ? quote : '');
+      i = end + 1;
+    } else {
+      masked += source[i];
+      i++;
+    }
+  }
+
+  return masked.slice(0, source.length);
+}
+
+// Splits on commas (or semicolons, in object types) outside brackets: "a, { b, c }" → ["a", "{ b, c }"].
+// In types, <> are brackets too (Record<string, any>); in code they're comparisons.
+function splitTopLevel(text, { separators = ',', types = false } = {}) {
+  const [opening, closing] = types ? ['({[<', ')}]>'] : ['({[', ')}]'];
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (opening.includes(text[i])) {
+      depth++;
+    } else if (closing.includes(text[i]) && !(text[i] === '>' && text[i - 1] === '=')) {
+      depth--;
+    } else if (separators.includes(text[i]) && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Index of the bracket closing the one at `start`, or -1
+function findClosing(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if ('({['.includes(text[i])) {
+      depth++;
+    } else if (')}]'.includes(text[i]) && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Names of the docs' aliases for unions of string literals ("type ModalType = 'LOGIN' | 'SIGNUP'"),
+// from the declarations extractTypes() finds
+function findStringAliases(types) {
+  const aliases = new Set();
+  types.forEach(type => {
+    const match = type.code.replace(/\/\/.*$/gm, '').match(/^type\s+([A-Za-z_$][\w$]*)\s*=([\s\S]*?);?\s*$/);
+    const members = match && match[2].split('|').map(member => member.trim()).filter(Boolean);
+    if (members && members.length > 0 && members.every(member => /^(['"])[^'"]*\1$/.test(member))) {
+      aliases.add(match[1]);
+    }
+  });
+  return aliases;
+}
+
+// "getPlan({ planId: string })" → [{ optional: false, kind: 'object', fields: [{ name: 'planId', optional: false }] }].
+// Parameters typed with one of stringAliases are strings.
+function parseSignature(signature, stringAliases = new Set()) {
+  const open = signature.indexOf('(');
+  const close = open === -1 ? -1 : findClosing(signature, open);
+  if (close === -1) {
+    return null;
+  }
+
+  return splitTopLevel(signature.slice(open + 1, close), { types: true }).map(arg => {
+    const typed = arg.match(/^([A-Za-z_$][\w$]*)(\?)?\s*:\s*([\s\S]+)$/);
+    const type = typed ? typed[3].trim() : arg;
+    const optional = Boolean(typed && typed[2]);
+    if (/=>/.test(type) && /^\(/.test(type)) {
+      return { optional, kind: 'function' };
+    }
+    if (/^\{[\s\S]*\}$/.test(type)) {
+      const entries = splitTopLevel(type.slice(1, -1), { separators: ',;', types: true });
+      const fields = entries
+        .map(entry => entry.match(/^([A-Za-z_$][\w$]*)(\?)?\s*:/))
+        .filter(Boolean)
+        .map(match => ({ name: match[1], optional: Boolean(match[2]) }));
+      return {
+        // getCurrentMember({ useCache?: boolean }) can be called without the object
+        optional: optional || fields.every(field => field.optional),
+        kind: 'object',
+        // Index signatures ([key: string]: any) accept any field
+        open: entries.some(entry => entry.startsWith('[')),
+        fields
+      };
+    }
+    if (stringAliases.has(type)) {
+      return { optional, kind: 'string' };
+    }
+    return { optional, kind: /^(string|number|boolean)$/.test(type) ? type : 'any' };
+  });
+}
+
+// What a literal argument is: object (with its field names), array, string, number, function, or unknown
+function describeArgument(arg) {
+  if (/^\{[\s\S]*\}$/.test(arg)) {
+    // Signature blocks in the docs separate fields with semicolons
+    const entries = splitTopLevel(arg.slice(1, -1), { separators: ',;' });
+    return {
+      kind: 'object',
+      spread: entries.some(entry => entry.startsWith('...') || entry.startsWith('[')),
+      fields: entries
+        .map(entry => entry.match(/^(?:async\s+)?['"]?([A-Za-z_$][\w$]*)/))
+        .filter(Boolean)
+        .map(match => match[1])
+    };
+  }
+  if (/^\[[\s\S]*\]$/.test(arg)) {
+    return { kind: 'array' };
+  }
+  if (/^['"`]/.test(arg)) {
+    return { kind: 'string' };
+  }
+  if (/^-?\d/.test(arg)) {
+    return { kind: 'number' };
+  }
+  if (/^(true|false)$/.test(arg)) {
+    return { kind: 'boolean' };
+  }
+  if (/^(async\s+)?(function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/.test(arg)) {
+    return { kind: 'function' };
+  }
+  return { kind: 'unknown' };
+}
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// Checks Memberstack calls in JS/TS source against the documented methods and signatures
+class MemberstackChecker {
+  // types: the docs' declarations (extractTypes), which tell string-union aliases apart from other types
+  constructor(index, { types = [] } = {}) {
+    this.index = index;
+    this.stringAliases = findStringAliases(types);
+    this.methods = new Map((index.methodDetails || []).map(method => [method.name, method]));
+    this.excluded = new Set((index.excluded && index.excluded.methods) || []);
+    this.searcher = new MemberstackSearch(index);
+  }
+
+  // Methods a misspelled or invented name most likely meant: a known mix-up, close
+  // spellings, then the best matches for its words ("getPlanList" → "get plan list")
+  suggest(name) {
+    const known = KNOWN_MISTAKES[name] && this.methods.has(KNOWN_MISTAKES[name]) ? [KNOWN_MISTAKES[name]] : [];
+    const lower = name.toLowerCase();
+    const close = [...this.methods.keys()]
+      .map(candidate => ({ candidate, distance: editDistance(lower, candidate.toLowerCase()) }))
+      .filter(({ distance }) => distance <= Math.max(2, Math.floor(name.length / 4)))
+      .sort((a, b) => a.distance - b.distance)
+      .map(({ candidate }) => candidate);
+    const words = name.replace(/([a-z\d])([A-Z])/g, '$1 $2').replace(/_/g, ' ');
+    const related = this.searcher.search(words, { limit: 3 }).map(result => result.name);
+    return [...new Set([...known, ...close, ...related])].slice(0, 3);
+  }
+
+  // Diagnostics for one file: [{ file, line, column, rule, level, message }]
+  checkSource(source, file = '<source>') {
+    const masked = maskSource(source);
+    const checkMs = /memberstack/i.test(source);
+    const diagnostics = [];
+    const report = (offset, rule, message) => {
+      const before = source.slice(0, offset).split('\n');
+      diagnostics.push({
+        file,
+        line: before.length,
+        column: before[before.length - 1].length + 1,
+        rule,
+        level: RULES[rule].level,
+        message
+      });
+    };
+
+    for (const match of masked.matchAll(CALL_PATTERN)) {
+      const [call, receiver, name] = match;
+      if (receiver === 'ms' && !checkMs) {
+        continue;
+      }
+      const nameOffset = match.index + call.lastIndexOf(name, call.length - 1);
+      const method = this.methods.get(name);
+
+      if (!method) {
+        if (this.excluded.has(name)) {
+          report(nameOffset, 'excluded-method', `'${name}' is documented, but its category isn't installed in this project (see the install profile)`);
+          continue;
+        }
+        const suggestions = this.suggest(name);
+        report(nameOffset, 'unknown-method', `'${name}' is not a documented Memberstack method` +
+          (suggestions.length > 0 ? `. Did you mean ${suggestions.map(suggestion => `'${suggestion}'`).join(', ')}?` : ''));
+        continue;
+      }
+
+      const open = match.index + call.length - 1;
+      const close = findClosing(masked, open);
+      if (close !== -1) {
+        // Argument text from the masked source, whose strings are blank but still quoted
+        this.checkArguments(method, masked.slice(open + 1, close), (rule, message) => report(nameOffset, rule, message));
+      }
+    }
+
+    return diagnostics;
+  }
+
+  // Literal arguments against the signature; variables and spreads aren't followed
+  checkArguments(method, argumentText, report) {
+    const expected = parseSignature(method.signature || '', this.stringAliases);
+    if (!expected) {
+      return;
+    }
+    const args = splitTopLevel(argumentText);
+    if (args.some(arg => arg.startsWith('...'))) {
+      return;
+    }
+
+    const required = expected.filter(arg => !arg.optional).length;
+    if (args.length > expected.length) {
+      report('argument-count', `${method.name}() takes ${expected.length === 0 ? 'no arguments' : `at most ${expected.length} argument${expected.length === 1 ? '' : 's'}`} (${method.signature})`);
+    } else if (args.length < required) {
+      report('argument-count', `${method.name}() needs ${required} argument${required === 1 ? '' : 's'} (${method.signature})`);
+    }
+
+    args.slice(0, expected.length).forEach((arg, i) => {
+      const want = expected[i];
+      const actual = describeArgument(arg);
+      if (actual.kind === 'unknown' || want.kind === 'any') {
+        return;
+      }
+      if (want.kind !== actual.kind) {
+        const wanted = want.kind === 'object'
+          ? `an object like { ${want.fields.map(field => field.name).join(', ')} }`
+          : want.kind === 'function' ? 'a callback' : `a ${want.kind}`;
+        report('argument-shape', `${method.name}() takes ${wanted} as argument ${i + 1}, not ${/^[aeiou]/.test(actual.kind) ? 'an' : 'a'} ${actual.kind} (${method.signature})`);
+        return;
+      }
+      if (want.kind !== 'object') {
+        return;
+      }
+
+      const names = want.fields.map(field => field.name);
+      if (!want.open) {
+        actual.fields.filter(field => !names.includes(field)).forEach(field => {
+          const close = names.find(name => editDistance(field.toLowerCase(), name.toLowerCase()) <= 2);
+          report('unknown-parameter', `${method.name}() has no '${field}' parameter` +
+            (close ? `. Did you mean '${close}'?` : `. It takes: ${names.join(', ') || 'no fields'}`));
+        });
+      }
+      if (!actual.spread) {
+        want.fields
+          .filter(field => !field.optional && !actual.fields.includes(field.name))
+          .forEach(field => report('missing-parameter', `${method.name}() requires '${field.name}' (${method.signature})`));
+      }
+    });
+  }
+
+  // JS/TS files below root (or the given files and directories), relative and "/"-separated
+  static findSourceFiles(root, paths = []) {
+    const files = [];
+    const walk = relative => {
+      const absolute = path.join(root, relative);
+      const stat = fs.statSync(absolute);
+      if (stat.isFile()) {
+        if (SOURCE_EXTENSIONS.has(path.extname(relative)) && !/\.min\.js$/.test(relative)) {
+          files.push(relative.split(path.sep).join('/'));
+        }
+        return;
+      }
+      fs.readdirSync(absolute, { withFileTypes: true }).forEach(entry => {
+        if (entry.isDirectory() && (IGNORED_DIRS.has(entry.name) || entry.name.startsWith('.'))) {
+          return;
+        }
+        walk(path.join(relative, entry.name));
+      });
+    };
+
+    (paths.length > 0 ? paths : ['.']).forEach(target => {
+      if (!fs.existsSync(path.join(root, target))) {
+        throw new Error(`${target} not found`);
+      }
+      walk(path.normalize(target));
+    });
+    return [...new Set(files)].sort();
+  }
+
+  checkFiles(root, files) {
+    return files.flatMap(file => this.checkSource(fs.readFileSync(path.join(root, file), 'utf-8'), file));
+  }
+
+  // SARIF 2.1.0, for code scanning UIs
+  static toSarif(diagnostics) {
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: packageJson.name,
+            version: packageJson.version,
+            informationUri: packageJson.homepage,
+            rules: Object.entries(RULES).map(([id, rule]) => ({
+              id: `memberstack/${id}`,
+              shortDescription: { text: rule.description },
+              defaultConfiguration: { level: rule.level }
+            }))
+          }
+        },
+        results: diagnostics.map(diagnostic => ({
+          ruleId: `memberstack/${diagnostic.rule}`,
+          level: diagnostic.level,
+          message: { text: diagnostic.message },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: diagnostic.file },
+              region: { startLine: diagnostic.line, startColumn: diagnostic.column }
+            }
+          }]
+        }))
+      }]
+    };
+  }
+}
+
+MemberstackChecker.RULES = RULES;
+
+module.exports = MemberstackChecker;
@@ -0,0 +1,135 @@
+const MemberstackDocs = require('./docs');
+const MemberstackIndexer = require('./indexer');
+
+// Installed under the docs directory as methods/<name>.md and topics/<slug>.md
+const METHODS_DIR = 'methods';
+const TOPICS_DIR = 'topics';
+// Close enough for budgeting context: English prose and code average ~4 characters a token
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+function slugify(title) {
+  return title.toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Chapters of complete.md as [{ title, startLine, endLine }], split by the same rule
+// as the indexer: a "# Title" heading from the table of contents, or the
+// "## AI Assistant Instructions" section every chapter opens with
+function findChapters(docs) {
+  const titles = new MemberstackIndexer().parseTableOfContents(docs.lines);
+  const starts = [];
+  let sawSectionInChapter = false;
+
+  docs.headings().forEach(heading => {
+    if (heading.level === 1 && titles.includes(heading.text)) {
+      starts.push({ title: heading.text, startLine: heading.line });
+      sawSectionInChapter = false;
+      return;
+    }
+    if (heading.level !== 2) {
+      return;
+    }
+    if (heading.text === 'AI Assistant Instructions' && (sawSectionInChapter || starts.length === 0)) {
+      // Chapters may open with their own "# Memberstack DOM - ..." title; keep it with the chapter
+      const previous = docs.headings().filter(other => other.line < heading.line).pop();
+      const titled = previous && previous.level === 1 &&
+        docs.lines.slice(previous.line, heading.line - 1).every(line => line.trim() === '');
+      starts.push({ title: titles[starts.length], startLine: titled ? previous.line : heading.line });
+    }
+    sawSectionInChapter = true;
+  });
+
+  return starts
+    .filter(chapter => chapter.title)
+    .map((chapter, i, chapters) => ({
+      ...chapter,
+      endLine: i + 1 < chapters.length ? chapters[i + 1].startLine - 1 : docs.lines.length
+    }));
+}
+
+// Splits complete.md into one chunk per documented method and one per chapter. Topic
+// chunks keep everything but the method sections, which become links to the method
+// chunks. Paths are relative to the docs directory:
+//
+//   {
+//     methods: [{ name, chapter, file: 'methods/updateMember.md', content, tokens }],
+//     topics: [{ name: 'error-handling', title, file: 'topics/error-handling.md', content, tokens, methods }]
+//   }
+function buildChunks(docsContent, index) {
+  const docs = new MemberstackDocs(docsContent);
+  const chapters = findChapters(docs);
+  const chapterAt = line => chapters.find(chapter => chapter.startLine <= line && line <= chapter.endLine);
+
+  const findSections = names => names
+    .map(name => ({ name, heading: docs.findMethodHeading(name) }))
+    .filter(({ heading }) => heading && chapterAt(heading.line))
+    .map(({ name, heading }) => ({ name, heading, section: docs.getSection(heading), chapter: chapterAt(heading.line) }));
+  const sections = findSections((index.methodDetails || []).map(method => method.name));
+  // Methods a slimmed-down install leaves out (see profiles.js) are dropped from the topics
+  const dropped = findSections((index.excluded && index.excluded.methods) || []);
+
+  const methods = sections.map(({ name, heading, section, chapter }) => {
+    const body = MemberstackDocs.shiftHeadings(section.content.split('\n').slice(1).join('\n'), 1 - heading.level);
+    const topicFile = `${TOPICS_DIR}/${slugify(chapter.title)}.md`;
+    const content = `# ${name}()\n\n_${chapter.title} · full chapter: [${topicFile}](../${topicFile})_\n\n${body.trim()}\n`;
+    return { name, chapter: chapter.title, file: `${METHODS_DIR}/${name}.md`, content, tokens: estimateTokens(content) };
+  });
+
+  const topics = chapters.map(chapter => {
+    const inChapter = sections.filter(({ chapter: owner }) => owner === chapter);
+    const droppedInChapter = dropped.filter(({ chapter: owner }) => owner === chapter);
+    if (inChapter.length === 0 && droppedInChapter.length > 0) {
+      return null;
+    }
+
+    const lines = [];
+    let line = chapter.startLine;
+    [...inChapter, ...droppedInChapter]
+      .sort((a, b) => a.section.startLine - b.section.startLine)
+      .forEach(({ name, heading, section }) => {
+        lines.push(...docs.lines.slice(line - 1, section.startLine - 1));
+        if (inChapter.some(kept => kept.name === name)) {
+          const file = `${METHODS_DIR}/${name}.md`;
+          lines.push(docs.lines[heading.line - 1], '', `See [${file}](../${file}).`, '');
+        }
+        line = Math.max(line, section.endLine + 1);
+      });
+    lines.push(...docs.lines.slice(line - 1, chapter.endLine));
+
+    // The chapter's own title line is replaced by the topic title
+    const body = lines.join('\n').replace(/^\s*#\s.*\n/, '').trim();
+    const name = slugify(chapter.title);
+    const content = `# ${chapter.title}\n\n${body}\n`;
+    return {
+      name,
+      title: chapter.title,
+      file: `${TOPICS_DIR}/${name}.md`,
+      content,
+      tokens: estimateTokens(content),
+      methods: inChapter.map(section => section.name)
+    };
+  }).filter(Boolean);
+
+  return { methods, topics };
+}
+
+// The index with each method pointing at its chunk, plus the list of topics
+function annotateIndex(index, docsContent) {
+  const { methods, topics } = buildChunks(docsContent, index);
+  const chunks = new Map(methods.map(chunk => [chunk.name, chunk]));
+
+  return {
+    ...index,
+    methodDetails: index.methodDetails.map(method => {
+      const chunk = chunks.get(method.name);
+      const { docLocation, ...rest } = method;
+      return chunk ? { ...rest, chunk: chunk.file, tokens: chunk.tokens } : method;
+    }),
+    topics: topics.map(({ name, title, file, tokens, methods: names }) => ({ name, title, chunk: file, tokens, methods: names }))
+  };
+}
+
+module.exports = { METHODS_DIR, TOPICS_DIR, estimateTokens, slugify, buildChunks, annotateIndex };
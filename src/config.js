@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+const JS_CONFIG_FILE = 'memberstack-ai-docs.config.js';
+const RC_FILE = '.memberstackrc';
+const CONFIG_FILES = [JS_CONFIG_FILE, RC_FILE];
+
+// Settings a project can pin; anything else in the file is kept but ignored
+const CONFIG_TYPES = {
+  aiTools: 'array',
+  cursorFormat: 'string',
+  docsVersion: 'string',
+  docsMirror: 'string',
+  exclude: 'array',
+  framework: 'string',
+  include: 'array',
+  memberstackDir: 'string',
+  paths: 'object',
+  profile: 'string',
+  sections: 'array',
+  mcp: 'boolean',
+  targets: 'array',
+  types: 'string',
+  workspaces: 'boolean'
+};
+
+// Project config: a CommonJS module or a JSON .memberstackrc in the project root
+function loadConfig(projectRoot) {
+  for (const fileName of CONFIG_FILES) {
+    const configPath = path.join(projectRoot, fileName);
+    if (!fs.existsSync(configPath)) {
+      continue;
+    }
+
+    let config;
+    try {
+      config = fileName === JS_CONFIG_FILE
+        ? require(configPath)
+        : JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Could not read ${fileName}: ${error.message}`);
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error(`${fileName} must export an object`);
+    }
+    Object.entries(CONFIG_TYPES).forEach(([key, type]) => {
+      if (config[key] === undefined) {
+        return;
+      }
+      const actual = Array.isArray(config[key]) ? 'array' : typeof config[key];
+      if (actual !== type) {
+        throw new Error(`${fileName}: "${key}" must be ${/^[ao]/.test(type) ? 'an' : 'a'} ${type}`);
+      }
+    });
+
+    return { ...config, configFile: fileName };
+  }
+
+  return {};
+}
+
+// Records the chosen settings in .memberstackrc, keeping whatever else is there.
+// A JS config is hand-written, so it is never rewritten; returns null in that case.
+function saveConfig(projectRoot, values, write) {
+  if (fs.existsSync(path.join(projectRoot, JS_CONFIG_FILE))) {
+    return null;
+  }
+
+  const rcPath = path.join(projectRoot, RC_FILE);
+  const existing = fs.existsSync(rcPath) ? JSON.parse(fs.readFileSync(rcPath, 'utf-8')) : {};
+  write(RC_FILE, JSON.stringify({ ...existing, ...values }, null, 2) + '\n');
+  return RC_FILE;
+}
+
+module.exports = { CONFIG_FILES, RC_FILE, loadConfig, saveConfig };
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const MemberstackDocs = require('./docs');
+const MemberstackIndexer = require('./indexer');
+const TemplateRenderer = require('./template-renderer');
+const { annotateIndex, slugify } = require('./chunker');
+const { extractTypes, linkTypes } = require('./types');
+const { validateIndex } = require('./index-schema');
+
+const ROOT_DIR = path.join(__dirname, '..');
+// Numbered chapter files at the repository root, e.g. 03-member-management.md
+const CHAPTER_FILE = /^\d{2}-[\w-]+\.md$/;
+// Generated files, relative to the repository root
+const OUTPUTS = {
+  complete: 'docs/memberstack-complete.md',
+  index: 'docs/memberstack-index.json',
+  quickref: 'docs/memberstack-quickref.md'
+};
+// Calls in quick reference examples longer than this are left to the method chunks
+const MAX_EXAMPLE_LINES = 20;
+
+function listChapters(rootDir) {
+  return fs.readdirSync(rootDir)
+    .filter(file => CHAPTER_FILE.test(file))
+    .sort()
+    .map(file => ({ file, content: fs.readFileSync(path.join(rootDir, file), 'utf-8') }));
+}
+
+// The chapter's title in the table of contents: its entry in categories.json
+// (which maps chapters to index categories), else the file name in title case
+function chapterTitle(file, categoryMap) {
+  const slug = file.replace(/^\d+-/, '').replace(/\.md$/, '');
+  return Object.keys(categoryMap.chapters).find(title => slugify(title) === slug) ||
+    slug.split('-').map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+}
+
+// GitHub's heading anchors
+function anchor(title) {
+  return title.toLowerCase().replace(/[^\w\s-]/g, '').trim().replace(/\s+/g, '-');
+}
+
+// complete.md: the front matter of the first chapter, a table of contents, then every
+// chapter under a "# Title" heading (replacing the chapter file's own title)
+function assembleDocs(chapters, categoryMap) {
+  let frontMatter = '';
+  const sections = chapters.map(({ file, content }, i) => {
+    let body = content;
+    if (i === 0) {
+      const match = body.match(/^---\n[\s\S]*?\n---\n/);
+      frontMatter = match ? match[0] : '';
+      body = body.slice(frontMatter.length);
+    }
+    return { title: chapterTitle(file, categoryMap), body: body.trim().replace(/^#\s.*\n+/, '') };
+  });
+
+  const titleMatch = frontMatter.match(/^title:\s*(.+)$/m);
+  const toc = sections.map(({ title }, i) => `${i + 1}. [${title}](#${anchor(title)})`);
+
+  return [
+    frontMatter.trim(),
+    `# ${titleMatch ? titleMatch[1].trim() : 'Memberstack DOM Package - Complete Documentation'}`,
+    `## Table of Contents\n\n${toc.join('\n')}`,
+    '---',
+    ...sections.map(({ title, body }) => `# ${title}\n\n${body}`)
+  ].filter(Boolean).join('\n\n') + '\n';
+}
+
+// The statement that calls the method in its section's first JavaScript example,
+// dedented, e.g. "const result = await memberstack.getPlan({ ... });"
+function findExample(docs, name) {
+  const section = docs.getMethodSection(name);
+  const call = new RegExp(`\\.${name}\\s*\\(`);
+  const code = section && [...section.content.matchAll(/```(?:javascript|js)\n([\s\S]*?)\n```/g)]
+    .map(match => match[1])
+    .find(block => call.test(block));
+  if (!code) {
+    return null;
+  }
+
+  const lines = code.split('\n');
+  const start = lines.findIndex(line => call.test(line));
+  let depth = 0;
+  let end = start;
+  for (; end < lines.length; end++) {
+    depth += (lines[end].match(/[({[]/g) || []).length - (lines[end].match(/[)}\]]/g) || []).length;
+    if (depth <= 0) {
+      break;
+    }
+  }
+  const statement = lines.slice(start, end + 1);
+  if (statement.length > MAX_EXAMPLE_LINES) {
+    return null;
+  }
+  const indent = statement[0].match(/^\s*/)[0].length;
+  return statement.map(line => line.slice(Math.min(indent, line.match(/^\s*/)[0].length))).join('\n');
+}
+
+// The quick reference's method entries, grouped as in the index's quickReference
+function renderQuickReferenceMethods(index, docsContent) {
+  const docs = new MemberstackDocs(docsContent);
+  return Object.entries(index.quickReference || {}).map(([group, names]) => {
+    const entries = names
+      .map(name => index.methodDetails.find(method => method.name === name))
+      .filter(Boolean)
+      .map(method => {
+        const example = findExample(docs, method.name);
+        return [
+          `#### \`${method.signature || `${method.name}()`}\``,
+          method.returns ? `Returns: \`${method.returns}\`` : null,
+          example ? `\`\`\`javascript\n${example}\n\`\`\`` : null
+        ].filter(Boolean).join('\n');
+      });
+    return [`### ${group} (${entries.length} method${entries.length === 1 ? '' : 's'})`, ...entries].join('\n\n');
+  }).join('\n\n');
+}
+
+// Every generated file, from the chapter files: [{ path, content }] with paths
+// relative to the repository root
+function buildDocs(rootDir = ROOT_DIR) {
+  const categoryMap = require('./categories.json');
+  const complete = assembleDocs(listChapters(rootDir), categoryMap);
+
+  const indexer = new MemberstackIndexer({ categoryMap });
+  indexer.parseDocumentation(complete);
+  const index = linkTypes(annotateIndex(indexer.generateIndex(), complete), extractTypes(complete));
+  const { valid, errors } = validateIndex(index);
+  if (!valid) {
+    throw new Error(`Generated index does not match the index schema:\n  ${errors.join('\n  ')}`);
+  }
+
+  const quickref = new TemplateRenderer(index).render('quickref', {
+    quickReferenceMethods: renderQuickReferenceMethods(index, complete)
+  });
+
+  return [
+    { path: OUTPUTS.complete, content: complete },
+    { path: OUTPUTS.index, content: JSON.stringify(index, null, 2) + '\n' },
+    { path: OUTPUTS.quickref, content: quickref.trimEnd() + '\n' }
+  ];
+}
+
+// Generated files whose committed copy differs from a fresh build
+function findStale(rootDir = ROOT_DIR, outputs = buildDocs(rootDir)) {
+  return outputs.filter(output => {
+    const filePath = path.join(rootDir, output.path);
+    return !fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf-8') !== output.content;
+  });
+}
+
+// Methods in the committed index that a fresh build no longer finds, e.g. because a
+// heading changed shape or a chapter was renamed without updating categories.json
+function findRemovedMethods(rootDir = ROOT_DIR, outputs = buildDocs(rootDir)) {
+  const filePath = path.join(rootDir, OUTPUTS.index);
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const committed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const rebuilt = JSON.parse(outputs.find(output => output.path === OUTPUTS.index).content);
+  const names = new Set(rebuilt.methodDetails.map(method => method.name));
+  return committed.methodDetails.map(method => method.name).filter(name => !names.has(name));
+}
+
+module.exports = { OUTPUTS, buildDocs, findStale, findRemovedMethods };
@@ -0,0 +1,97 @@
+const fs = require('fs');
+
+// Read-only helpers for looking things up in complete.md
+class MemberstackDocs {
+  constructor(content = '') {
+    this.lines = content.split('\n');
+  }
+
+  static fromFile(filePath) {
+    return new MemberstackDocs(fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : '');
+  }
+
+  // Moves every heading outside code blocks by delta levels (within 2..6)
+  static shiftHeadings(content, delta) {
+    let inFence = false;
+    return content.split('\n').map(line => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        return line;
+      }
+      const match = !inFence && line.match(/^(#{1,6})(\s.*)$/);
+      if (!match) {
+        return line;
+      }
+      const level = Math.min(6, Math.max(2, match[1].length + delta));
+      return '#'.repeat(level) + match[2];
+    }).join('\n');
+  }
+
+  // Line numbers (1-based) of markdown headings, skipping fenced code blocks
+  headings() {
+    if (this._headings) {
+      return this._headings;
+    }
+
+    const headings = [];
+    let inFence = false;
+    this.lines.forEach((line, i) => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        return;
+      }
+      const match = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*$/);
+      if (match) {
+        headings.push({ level: match[1].length, text: match[2], line: i + 1 });
+      }
+    });
+
+    this._headings = headings;
+    return headings;
+  }
+
+  findMethodHeading(name) {
+    const escaped = name.replace(/[$]/g, '\\$');
+    const pattern = new RegExp(`^(?:\\d+\\.\\s+)?${escaped}(?:\\(\\))?$`);
+    return this.headings().find(heading => pattern.test(heading.text)) || null;
+  }
+
+  // Text from a heading up to the next heading of the same or higher level
+  getSection(heading) {
+    const headings = this.headings();
+    const next = headings.find(h => h.line > heading.line && h.level <= heading.level);
+    const endLine = next ? next.line - 1 : this.lines.length;
+    return {
+      startLine: heading.line,
+      endLine,
+      content: this.lines.slice(heading.line - 1, endLine).join('\n').trim()
+    };
+  }
+
+  getMethodSection(name) {
+    const heading = this.findMethodHeading(name);
+    return heading ? this.getSection(heading) : null;
+  }
+
+  // Error codes documented as "#### AUTH_001 - Invalid Credentials" followed by "**Code:** `INVALID_CREDENTIALS`"
+  getErrorCodes() {
+    return this.headings()
+      .filter(heading => /^[A-Z]+_\d+\s+-\s+/.test(heading.text))
+      .map(heading => {
+        const section = this.getSection(heading);
+        const [id, title] = heading.text.split(/\s+-\s+/);
+        const codeMatch = section.content.match(/\*\*Code:\*\*\s*`([A-Z0-9_]+)`/);
+        const descriptionMatch = section.content.match(/\*\*Description:\*\*\s*(.+)/);
+        return {
+          id,
+          code: codeMatch ? codeMatch[1] : id,
+          title,
+          description: descriptionMatch ? descriptionMatch[1].trim() : '',
+          startLine: section.startLine,
+          content: section.content
+        };
+      });
+  }
+}
+
+module.exports = MemberstackDocs;
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+
+const BACKUP_MANIFEST = 'backup.json';
+const MAX_BACKUPS = 5;
+
+// Writes a file by renaming a temp file over it, so readers never see half a file
+function writeAtomic(filePath, content) {
+  const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, content);
+  if (fs.existsSync(filePath)) {
+    fs.chmodSync(tempPath, fs.statSync(filePath).mode);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+// Groups the file changes of one install/update/remove run. Each file is backed
+// up to <backupRoot>/<run id>/ before its first change, so the run can be undone
+// as a whole: automatically when it fails part-way, or later with --rollback.
+//
+// With dryRun, changes are only staged in memory: reads see them, the disk doesn't,
+// and getChanges() reports what a real run would do.
+class FileTransaction {
+  constructor({ projectRoot, backupRoot, command, dryRun = false }) {
+    this.projectRoot = projectRoot;
+    this.backupRoot = backupRoot;
+    this.command = command;
+    this.dryRun = dryRun;
+    this.id = new Date().toISOString().replace(/[:.]/g, '-');
+    this.backupDir = path.join(backupRoot, this.id);
+    // Project-relative path → whether the file existed before this run
+    this.touched = new Map();
+    // Dry run only: project-relative path → staged content, or null once removed
+    this.staged = new Map();
+    this.removedDirectories = [];
+    this.notes = new Map();
+  }
+
+  relative(file) {
+    return path.relative(this.projectRoot, this.resolve(file));
+  }
+
+  resolve(file) {
+    return path.resolve(this.projectRoot, file);
+  }
+
+  exists(file) {
+    const relativePath = this.relative(file);
+    if (this.staged.has(relativePath)) {
+      return this.staged.get(relativePath) !== null;
+    }
+    return !this.isInRemovedDirectory(relativePath) && fs.existsSync(this.resolve(file));
+  }
+
+  read(file) {
+    const staged = this.staged.get(this.relative(file));
+    return typeof staged === 'string' ? staged : fs.readFileSync(this.resolve(file), 'utf-8');
+  }
+
+  // Returns false, leaving the file (and its backup) alone, when it already has this content
+  write(file, content) {
+    if (this.exists(file) && this.read(file) === content.toString()) {
+      return false;
+    }
+
+    this.snapshot(file);
+    if (this.dryRun) {
+      this.staged.set(this.relative(file), content.toString());
+    } else {
+      writeAtomic(this.resolve(file), content);
+    }
+    return true;
+  }
+
+  remove(file) {
+    if (!this.exists(file)) {
+      return;
+    }
+    this.snapshot(file);
+    if (this.dryRun) {
+      this.staged.set(this.relative(file), null);
+    } else {
+      fs.rmSync(this.resolve(file));
+    }
+  }
+
+  // Deleted outright, without a backup (used for .memberstack/ itself)
+  removeDirectory(dir) {
+    if (!fs.existsSync(this.resolve(dir))) {
+      return;
+    }
+    this.removedDirectories.push(this.relative(dir));
+    if (!this.dryRun) {
+      fs.rmSync(this.resolve(dir), { recursive: true, force: true });
+    }
+  }
+
+  isInRemovedDirectory(relativePath) {
+    return this.removedDirectories.some(dir => relativePath.startsWith(dir + path.sep));
+  }
+
+  // Something the user should know about a change, e.g. that it needs confirming
+  note(file, message) {
+    this.notes.set(this.relative(file), message);
+  }
+
+  // What a dry run would change, in the order files were first touched
+  getChanges() {
+    const changes = [];
+
+    this.touched.forEach((existed, file) => {
+      const before = existed ? fs.readFileSync(this.resolve(file), 'utf-8') : null;
+      const after = this.exists(file) ? this.read(file) : null;
+      if (before === after) {
+        return;
+      }
+      changes.push({
+        path: file,
+        action: before === null ? 'create' : after === null ? 'delete' : 'update',
+        before,
+        after,
+        note: this.notes.get(file) || null
+      });
+    });
+
+    this.removedDirectories.forEach(dir => {
+      changes.push({ path: `${dir}/`, action: 'delete', before: null, after: null, note: null });
+    });
+
+    return changes;
+  }
+
+  snapshot(file) {
+    const relativePath = this.relative(file);
+    if (this.touched.has(relativePath)) {
+      return;
+    }
+
+    const existed = this.exists(file);
+    this.touched.set(relativePath, existed);
+    if (existed && !this.dryRun) {
+      const backupPath = path.join(this.backupDir, 'files', relativePath);
+      fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+      fs.copyFileSync(this.resolve(file), backupPath);
+    }
+  }
+
+  // Records the backup for --rollback and drops the oldest ones
+  commit() {
+    if (this.dryRun || this.touched.size === 0) {
+      return null;
+    }
+
+    fs.mkdirSync(this.backupDir, { recursive: true });
+    fs.writeFileSync(path.join(this.backupDir, BACKUP_MANIFEST), JSON.stringify({
+      command: this.command,
+      createdAt: new Date().toISOString(),
+      files: Array.from(this.touched, ([file, existed]) => ({ path: file, existed }))
+    }, null, 2) + '\n');
+
+    FileTransaction.listBackups(this.backupRoot)
+      .slice(MAX_BACKUPS)
+      .forEach(backup => fs.rmSync(backup.dir, { recursive: true, force: true }));
+
+    return this.backupDir;
+  }
+
+  // Undoes this run's changes, e.g. after an error part-way through an install
+  rollback() {
+    const files = Array.from(this.touched, ([file, existed]) => ({ path: file, existed }));
+    restoreFiles(this.projectRoot, this.backupDir, files);
+    fs.rmSync(this.backupDir, { recursive: true, force: true });
+    return files;
+  }
+
+  // Committed backups, newest first
+  static listBackups(backupRoot) {
+    if (!fs.existsSync(backupRoot)) {
+      return [];
+    }
+
+    return fs.readdirSync(backupRoot)
+      .map(name => path.join(backupRoot, name))
+      .filter(dir => fs.existsSync(path.join(dir, BACKUP_MANIFEST)))
+      .sort()
+      .reverse()
+      .map(dir => ({ dir, ...JSON.parse(fs.readFileSync(path.join(dir, BACKUP_MANIFEST), 'utf-8')) }));
+  }
+
+  // Restores the files of the most recent backup and removes it, so repeated
+  // rollbacks step further back
+  static restoreLatest(projectRoot, backupRoot) {
+    const [latest] = FileTransaction.listBackups(backupRoot);
+    if (!latest) {
+      return null;
+    }
+
+    restoreFiles(projectRoot, latest.dir, latest.files);
+    fs.rmSync(latest.dir, { recursive: true, force: true });
+    return latest;
+  }
+}
+
+function restoreFiles(projectRoot, backupDir, files) {
+  files.forEach(file => {
+    const filePath = path.resolve(projectRoot, file.path);
+    if (file.existed) {
+      writeAtomic(filePath, fs.readFileSync(path.join(backupDir, 'files', file.path)));
+      return;
+    }
+
+    // Created by the run: delete it, along with any directories left empty
+    fs.rmSync(filePath, { force: true });
+    let dir = path.dirname(filePath);
+    while (dir !== projectRoot && dir.startsWith(projectRoot) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+      fs.rmdirSync(dir);
+      dir = path.dirname(dir);
+    }
+  });
+}
+
+module.exports = FileTransaction;
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const MemberstackDocs = require('./docs');
+
+// Frameworks the agent section can be tailored to. `setupHeading` is the
+// "Initialization Patterns" example in complete.md that fits the framework; the
+// context pack collects every docs section tagged for it, i.e. followed by
+//
+//   <!-- frameworks: react, next -->
+const FRAMEWORKS = [
+  { id: 'next', label: 'Next.js', packages: ['next'], setupHeading: /^Next\.js App\b/ },
+  { id: 'react', label: 'React', packages: ['react'], setupHeading: /^React App\b/ },
+  { id: 'vue', label: 'Vue', packages: ['vue', 'nuxt'], setupHeading: /^Vue(\.js)? App\b/ },
+  { id: 'webflow', label: 'Webflow', packages: [], setupHeading: /^Basic Web App\b/ },
+  { id: 'vanilla', label: 'Plain HTML/JavaScript', packages: [], setupHeading: /^Basic Web App\b/ }
+];
+// Webflow exports and published pages carry these attributes
+const WEBFLOW_MARKERS = /data-wf-(site|page)=|webflow\.js/;
+const HTML_SCAN_LIMIT = 20;
+const FRAMEWORK_TAG = /^<!--\s*frameworks:\s*(.+?)\s*-->$/;
+// Installed under the docs directory as frameworks/<id>.md
+const PACKS_DIR = 'frameworks';
+
+function getFramework(id) {
+  return FRAMEWORKS.find(framework => framework.id === id) || null;
+}
+
+function readPackageJson(projectRoot) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function listHtmlFiles(projectRoot) {
+  return ['', 'public', 'src']
+    .map(dir => path.join(projectRoot, dir))
+    .filter(dir => fs.existsSync(dir) && fs.statSync(dir).isDirectory())
+    .flatMap(dir => fs.readdirSync(dir).filter(file => file.endsWith('.html')).map(file => path.join(dir, file)))
+    .slice(0, HTML_SCAN_LIMIT);
+}
+
+// The framework a project uses, from package.json dependencies or its HTML files;
+// null when there's nothing to go on
+function detectFramework(projectRoot) {
+  const packageJson = readPackageJson(projectRoot);
+  if (packageJson) {
+    const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies, ...packageJson.peerDependencies };
+    const framework = FRAMEWORKS.find(candidate => candidate.packages.some(name => dependencies[name]));
+    if (framework) {
+      return framework.id;
+    }
+  }
+
+  const htmlFiles = listHtmlFiles(projectRoot);
+  if (htmlFiles.some(file => WEBFLOW_MARKERS.test(fs.readFileSync(file, 'utf-8')))) {
+    return 'webflow';
+  }
+  const usesMemberstack = Boolean(packageJson && { ...packageJson.dependencies, ...packageJson.devDependencies }['@memberstack/dom']);
+  return htmlFiles.length > 0 || usesMemberstack ? 'vanilla' : null;
+}
+
+// Section text without its heading and framework tag
+function getSectionBody(docs, heading) {
+  return docs.getSection(heading).content
+    .split('\n')
+    .slice(1)
+    .filter(line => !FRAMEWORK_TAG.test(line.trim()))
+    .join('\n')
+    .trim();
+}
+
+// The framework's setup example from the docs, as a section for the agent file,
+// pointing at the full context pack when there is one
+function renderFrameworkSetup(id, docsContent, packPath = null) {
+  const framework = getFramework(id);
+  const docs = new MemberstackDocs(docsContent);
+  const heading = framework && docs.headings().find(candidate => framework.setupHeading.test(candidate.text));
+  if (!heading) {
+    return '';
+  }
+
+  const pointer = packPath ? `\n\nMore ${framework.label} patterns (auth state, protected content, setup caveats): \`${packPath}\`` : '';
+  return `## ${framework.label} Setup\n${getSectionBody(docs, heading)}${pointer}`;
+}
+
+// Every docs section tagged for the framework, in document order
+function findTaggedSections(docs, id) {
+  return docs.headings()
+    .filter(heading => {
+      const tag = (docs.lines[heading.line] || '').trim().match(FRAMEWORK_TAG);
+      return tag && tag[1].split(/[\s,]+/).includes(id);
+    })
+    .map(heading => ({ heading, body: getSectionBody(docs, heading) }));
+}
+
+// frameworks/<id>.md: the tagged sections for one framework, as a standalone guide.
+// docsVersion is the docs release the sections came from
+function renderContextPack(id, docsContent, { docsVersion } = {}) {
+  const framework = getFramework(id);
+  const sections = findTaggedSections(new MemberstackDocs(docsContent), id);
+  if (!framework || sections.length === 0) {
+    return null;
+  }
+
+  const intro = `Setup, authentication and protected-content patterns for ${framework.label} projects, ` +
+    `collected from the Memberstack docs${docsVersion ? ` (${docsVersion})` : ''}. ` +
+    'Check exact method signatures in index.json and complete.md.';
+  const body = sections.map(({ heading, body }) =>
+    `## ${heading.text}\n\n${MemberstackDocs.shiftHeadings(body, 2 - heading.level)}`);
+
+  return [`# Memberstack for ${framework.label}`, intro, ...body].join('\n\n') + '\n';
+}
+
+module.exports = {
+  FRAMEWORKS,
+  PACKS_DIR,
+  getFramework,
+  detectFramework,
+  renderFrameworkSetup,
+  renderContextPack
+};
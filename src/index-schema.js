@@ -0,0 +1,46 @@
+const Ajv = require('ajv');
+const schema = require('../docs/memberstack-index.schema.json');
+
+// Format version written by the indexer; bump the minor for additive changes
+// and the major (plus the schema's version pattern) for breaking ones
+const INDEX_VERSION = '2.5.0';
+
+let compiled = null;
+
+function validateIndex(index) {
+  if (!compiled) {
+    compiled = new Ajv({ allErrors: true }).compile(schema);
+  }
+
+  const valid = compiled(index);
+  const errors = valid ? [] : compiled.errors.map(error =>
+    `${error.instancePath || '(root)'} ${error.message}`
+  );
+
+  // Cross-references the schema itself can't express
+  if (valid) {
+    const names = new Set(index.methodDetails.map(method => method.name));
+    if (index.totalMethods !== index.methodDetails.length) {
+      errors.push(`/totalMethods is ${index.totalMethods} but methodDetails lists ${index.methodDetails.length} methods`);
+    }
+    Object.entries(index.categories).forEach(([category, { methods }]) => {
+      methods.filter(name => !names.has(name)).forEach(name => {
+        errors.push(`/categories/${category} references unknown method ${name}`);
+      });
+    });
+    Object.entries(index.quickReference || {}).forEach(([group, methods]) => {
+      methods.filter(name => !names.has(name)).forEach(name => {
+        errors.push(`/quickReference/${group} references unknown method ${name}`);
+      });
+    });
+    Object.entries(index.errors || {}).forEach(([code, { methods }]) => {
+      methods.filter(name => !names.has(name)).forEach(name => {
+        errors.push(`/errors/${code} references unknown method ${name}`);
+      });
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = { INDEX_VERSION, schema, validateIndex };
@@ -1,85 +1,498 @@
 const fs = require('fs');
 const path = require('path');
+const { INDEX_VERSION } = require('./index-schema');
+
+const DEFAULT_CATEGORY = 'general';
 
 class MemberstackIndexer {
-  constructor() {
+  constructor(options = {}) {
+    // Maps chapter titles (and ## sections within them) to index categories
+    this.categoryMap = options.categoryMap || require('./categories.json');
     this.methods = [];
     this.categories = {};
     this.searchKeywords = {};
+    this.errorSections = [];
   }
 
   parseDocumentation(content) {
     const lines = content.split('\n');
-    let currentCategory = 'general';
-    let currentMethod = null;
-    let lineNumber = 0;
-
-    for (const line of lines) {
-      lineNumber++;
-
-      // Detect category headers
-      if (line.match(/^#\s+(.+)$/)) {
-        const header = line.match(/^#\s+(.+)$/)[1].toLowerCase();
-        if (header.includes('authentication')) currentCategory = 'authentication';
-        else if (header.includes('member')) currentCategory = 'members';
-        else if (header.includes('plan') || header.includes('subscription')) currentCategory = 'plans';
-        else if (header.includes('ui') || header.includes('component')) currentCategory = 'ui';
-        else if (header.includes('advanced')) currentCategory = 'advanced';
-      }
-
-      // Detect method signatures
-      const methodMatch = line.match(/^###\s+(\w+)\(\)/);
-      if (methodMatch) {
-        currentMethod = {
-          name: methodMatch[1],
-          category: currentCategory,
-          lineNumber: lineNumber,
-          signature: '',
-          description: '',
-          returns: '',
-          parameters: []
-        };
-      }
-
-      // Capture method signature
-      if (currentMethod && line.includes('await memberstack.')) {
-        const sigMatch = line.match(/memberstack\.(\w+)\(([^)]*)\)/);
-        if (sigMatch) {
-          currentMethod.signature = `${sigMatch[1]}(${sigMatch[2]})`;
+    const chapters = this.parseTableOfContents(lines);
+    const lastUpdatedMatch = content.match(/^---[\s\S]*?^last_updated:\s*(\S+)[\s\S]*?^---/m);
+    if (lastUpdatedMatch) {
+      this.lastUpdated = lastUpdatedMatch[1];
+    }
+    const fenced = this.findFencedLines(lines);
+    let chapterIndex = -1;
+    let sawSectionInChapter = false;
+    let currentSection = null;
+    // Non-method headings enclosing the current line, outermost first
+    let groups = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      if (fenced[i]) {
+        continue;
+      }
+      const line = lines[i];
+
+      // Chapters start at a "# Title" heading listed in the table of contents, or at the
+      // "## AI Assistant Instructions" section every chapter opens with
+      const chapterMatch = line.match(/^#\s+(.+?)\s*$/);
+      if (chapterMatch && chapters.includes(chapterMatch[1])) {
+        chapterIndex = chapters.indexOf(chapterMatch[1]);
+        sawSectionInChapter = false;
+        currentSection = null;
+        continue;
+      }
+
+      const sectionMatch = line.match(/^##\s+(.+?)\s*$/);
+      if (sectionMatch) {
+        if (sectionMatch[1] === 'AI Assistant Instructions' && (sawSectionInChapter || chapterIndex === -1)) {
+          chapterIndex++;
+        }
+        sawSectionInChapter = true;
+        currentSection = sectionMatch[1];
+        groups = [];
+        continue;
+      }
+
+      const headingMatch = line.match(/^(#{3,6})\s+(.+?)\s*$/);
+      if (!headingMatch) {
+        continue;
+      }
+      const level = headingMatch[1].length;
+      groups = groups.filter(group => group.level < level);
+
+      // Error codes are documented as "#### AUTH_001 - Invalid Credentials" under a
+      // "### Authentication Errors" group; they're cataloged once every method is known
+      const errorMatch = headingMatch[2].match(/^([A-Z]+_\d+)\s+-\s+(.+)$/);
+      if (errorMatch) {
+        this.errorSections.push({
+          id: errorMatch[1],
+          title: errorMatch[2],
+          category: groups.length > 0 ? groups[groups.length - 1].title : currentSection,
+          startLine: i + 1,
+          endLine: this.findSectionEnd(lines, fenced, i, level) + 1
+        });
+      }
+
+      // A "name()" (or numbered "1. name") heading at any level starts a method section;
+      // other headings above it, such as "### Posts Management", become its subcategory
+      const methodName = this.matchMethodHeading(headingMatch[2]);
+      if (!methodName) {
+        // Headings such as "### Loading States" document a few methods in one
+        // "**Method Signatures:**" block; each becomes a method in the heading's subcategory
+        const endIndex = this.findSectionEnd(lines, fenced, i, 6);
+        this.parseSignatureBlock(lines.slice(i, endIndex + 1)).forEach(method => this.addMethod({
+          ...method,
+          category: this.resolveCategory(chapters[chapterIndex], currentSection),
+          subcategory: headingMatch[2],
+          lineNumber: i + 1,
+          startLine: i + 1,
+          endLine: endIndex + 1
+        }));
+        groups.push({ level, title: headingMatch[2] });
+        continue;
+      }
+      const endIndex = this.findSectionEnd(lines, fenced, i, level);
+      const method = this.parseMethodSection(methodName, lines.slice(i, endIndex + 1));
+      this.addMethod({
+        ...method,
+        category: this.resolveCategory(chapters[chapterIndex], currentSection),
+        subcategory: groups.length > 0 ? groups[groups.length - 1].title : null,
+        lineNumber: i + 1,
+        startLine: i + 1,
+        endLine: endIndex + 1
+      });
+    }
+
+    // Methods the docs only call in examples, listed in categories.json
+    (this.categoryMap.methods || []).forEach(method => this.addMethod({ parameters: [], ...method }));
+
+    this.errors = this.buildErrorCatalog(lines);
+  }
+
+  // Methods of a "**Method Signatures:**" block, one "memberstack.name(args): returns" per line
+  parseSignatureBlock(sectionLines) {
+    const block = this.extractCodeBlocks(sectionLines).find(block => /\*\*Method Signatures?:?\*\*/.test(block.label));
+    if (!block) {
+      return [];
+    }
+
+    const description = this.parseDescription(sectionLines);
+    return block.code.split('\n').map(line => {
+      const nameMatch = line.match(/^\s*(?:[\w$]+\.)?([\w$]+)\s*\(/);
+      const parsed = nameMatch && this.parseSignature(nameMatch[1], line);
+      return parsed && { name: nameMatch[1], signature: parsed.signature, description, returns: parsed.returns, parameters: parsed.parameters };
+    }).filter(Boolean);
+  }
+
+  matchMethodHeading(text) {
+    const match = text.match(/^(\w+)\(\)/) || text.match(/^\d+\.\s+([a-z]\w*)$/);
+    return match ? match[1] : null;
+  }
+
+  // { CODE: { id, title, category, description, methods, handling, lines } }. The methods
+  // raising a code are the ones called in the try block of its example, plus any whose
+  // own section mentions it.
+  buildErrorCatalog(lines) {
+    const errors = {};
+    this.errorSections.forEach(section => {
+      const sectionLines = lines.slice(section.startLine - 1, section.endLine);
+      const text = sectionLines.join('\n');
+      const codeMatch = text.match(/\*\*Code:\*\*\s*`([A-Z0-9_]+)`/);
+      const descriptionMatch = text.match(/\*\*Description:\*\*\s*(.+)/);
+      const code = codeMatch ? codeMatch[1] : section.id;
+      const handling = (this.extractCodeBlocks(sectionLines)[0] || {}).code || '';
+
+      const tried = /\btry\s*\{/.test(handling) ? handling.split(/\bcatch\b/)[0] : '';
+      const called = [...tried.matchAll(/\.(\w+)\s*\(/g)].map(match => match[1]);
+      const mentions = new RegExp(`\\b${code}\\b`);
+      const methods = this.methods
+        .filter(method => called.includes(method.name) || (method.startLine &&
+          lines.slice(method.startLine - 1, method.endLine).some(line => mentions.test(line))))
+        .map(method => method.name);
+
+      errors[code] = {
+        id: section.id,
+        title: section.title,
+        category: section.category || '',
+        description: descriptionMatch ? descriptionMatch[1].trim() : '',
+        methods,
+        ...(handling ? { handling } : {}),
+        lines: { start: section.startLine, end: section.endLine }
+      };
+    });
+    return errors;
+  }
+
+  // Chapter titles, in order, from the "## Table of Contents" list
+  parseTableOfContents(lines) {
+    const start = lines.findIndex(line => /^##\s+Table of Contents/i.test(line));
+    if (start === -1) {
+      return Object.keys(this.categoryMap.chapters);
+    }
+
+    const chapters = [];
+    for (const line of lines.slice(start + 1)) {
+      const entryMatch = line.match(/^\s*\d+\.\s+\[([^\]]+)\]/);
+      if (entryMatch) {
+        chapters.push(entryMatch[1]);
+      } else if (/^#/.test(line) || line.trim() === '---') {
+        break;
+      }
+    }
+    return chapters;
+  }
+
+  // Per-line flags marking content inside fenced code blocks (fence lines included)
+  findFencedLines(lines) {
+    let fence = null;
+    return lines.map(line => {
+      const fenceMatch = line.match(/^\s*(```|~~~)/);
+      if (fenceMatch) {
+        if (!fence) {
+          fence = fenceMatch[1];
+        } else if (fenceMatch[1] === fence) {
+          fence = null;
         }
+        return true;
+      }
+      return fence !== null;
+    });
+  }
+
+  resolveCategory(chapter, section) {
+    const mapping = this.categoryMap.chapters[chapter];
+    if (mapping && typeof mapping === 'object') {
+      return (mapping.sections && mapping.sections[section]) || mapping.default || DEFAULT_CATEGORY;
+    }
+    return mapping || DEFAULT_CATEGORY;
+  }
+
+  // Index of the last line before the next heading at `level` or above
+  findSectionEnd(lines, fenced, startIndex, level) {
+    const headingPattern = new RegExp(`^#{1,${level}}\\s`);
+    for (let i = startIndex + 1; i < lines.length; i++) {
+      if (!fenced[i] && headingPattern.test(lines[i])) {
+        let end = i - 1;
+        while (end > startIndex && !lines[end].trim()) end--;
+        return end;
+      }
+    }
+    return lines.length - 1;
+  }
+
+  parseMethodSection(name, sectionLines) {
+    const codeBlocks = this.extractCodeBlocks(sectionLines);
+
+    // The signature block follows "**Method Signature:**", or is the first block that calls the method
+    const signatureBlock = codeBlocks.find(block => /\*\*Method Signature:?\*\*/.test(block.label)) ||
+      codeBlocks.find(block => new RegExp(`\\b${name}\\s*\\(`).test(block.code) && /\)\s*:/.test(block.code));
+    const parsedSignature = signatureBlock ? this.parseSignature(name, signatureBlock.code) : null;
+
+    // Parameters: fields of the signature's object argument, enriched by a parameters table or type block
+    let parameters = parsedSignature ? parsedSignature.parameters : [];
+    const parameterBlock = codeBlocks.find(block => /\*\*Parameters:?\*\*/.test(block.label));
+    if (parameterBlock) {
+      const fields = this.parseTypeFields(parameterBlock.code);
+      // "params: QueryDataRecordsParams" with the block declaring "QueryDataRecordsParams = { table; query }":
+      // the method takes that object, so its fields are the parameters rather than params and options
+      const declaredMatch = parameterBlock.code.match(/^\s*(?:type\s+)?(\w+)\s*=/m);
+      parameters = declaredMatch && parameters.some(param => param.type === declaredMatch[1])
+        ? fields
+        : this.mergeParameters(parameters, fields);
+    }
+    parameters = this.mergeParameters(parameters, this.parseParameterTable(sectionLines));
+
+    let returns = parsedSignature ? parsedSignature.returns : '';
+    if (!returns) {
+      const returnMatch = sectionLines.join('\n').match(/Promise<([^>]+)>/);
+      returns = returnMatch ? `Promise<${returnMatch[1]}>` : '';
+    }
+
+    return {
+      name,
+      signature: parsedSignature ? parsedSignature.signature : '',
+      description: this.parseDescription(sectionLines),
+      returns,
+      parameters
+    };
+  }
+
+  // Prose between the heading and the first code block or bold label
+  parseDescription(sectionLines) {
+    const description = [];
+    for (const line of sectionLines.slice(1)) {
+      const trimmed = line.trim();
+      const purposeMatch = trimmed.match(/^\*\*Purpose:\*\*\s*(.+)$/);
+      if (purposeMatch) {
+        return purposeMatch[1];
+      }
+      if (trimmed.startsWith('```') || trimmed.startsWith('**') || trimmed.startsWith('#') || trimmed.startsWith('|')) {
+        break;
       }
+      if (!trimmed) {
+        if (description.length) break;
+        continue;
+      }
+      description.push(trimmed);
+    }
+    return description.join(' ');
+  }
+
+  // Fenced code blocks with the nearest preceding non-empty line as their label
+  extractCodeBlocks(sectionLines) {
+    const blocks = [];
+    let current = null;
+    let label = '';
 
-      // Capture return type
-      if (currentMethod && line.includes('Promise<')) {
-        const returnMatch = line.match(/Promise<([^>]+)>/);
-        if (returnMatch) {
-          currentMethod.returns = `Promise<${returnMatch[1]}>`;
+    for (const line of sectionLines) {
+      if (line.trim().startsWith('```')) {
+        if (current) {
+          blocks.push(current);
+          current = null;
+        } else {
+          current = { label, code: '' };
         }
+        continue;
+      }
+      if (current) {
+        current.code += (current.code ? '\n' : '') + line;
+      } else if (line.trim()) {
+        label = line.trim();
       }
+    }
+
+    return blocks;
+  }
+
+  // Turn a multi-line TypeScript call signature into "name(args)" plus its return type
+  parseSignature(name, code) {
+    const flattened = code
+      .split('\n')
+      .map(line => line.replace(/\s\/\/.*$/, '').trim())
+      .filter(Boolean)
+      .join(' ');
+
+    const callMatch = new RegExp(`\\b${name}\\s*\\(`).exec(flattened);
+    if (!callMatch) {
+      return null;
+    }
+
+    // Walk to the matching closing paren
+    const argsStart = callMatch.index + callMatch[0].length;
+    let depth = 1;
+    let argsEnd = argsStart;
+    for (; argsEnd < flattened.length && depth > 0; argsEnd++) {
+      if (flattened[argsEnd] === '(') depth++;
+      if (flattened[argsEnd] === ')') depth--;
+    }
+    const rawArgs = flattened.slice(argsStart, argsEnd - 1).trim();
+    const rest = flattened.slice(argsEnd).trim();
+    const returnsMatch = rest.match(/^:\s*(.+?);?$/);
+
+    const args = this.flattenType(rawArgs);
+
+    return {
+      signature: `${name}(${args})`,
+      returns: returnsMatch ? returnsMatch[1].trim() : '',
+      parameters: rawArgs.startsWith('{')
+        ? this.parseTypeFields(code.slice(code.indexOf('{', code.indexOf(name))))
+        : this.parsePositionalArgs(rawArgs)
+    };
+  }
+
+  // Top-level "key?: type; // comment" fields of the first object type in a code block
+  parseTypeFields(code) {
+    const fields = [];
+    let depth = 0;
+    let nested = null;
+
+    for (const line of code.split('\n')) {
+      const withoutComment = line.replace(/\/\/.*$/, '');
 
-      // Save method when we hit the next method or section
-      if (currentMethod && (line.match(/^###\s+\w+\(\)/) || line.match(/^##\s+/))) {
-        if (line !== `### ${currentMethod.name}()`) {
-          this.addMethod(currentMethod);
-          currentMethod = null;
+      if (nested) {
+        nested.parts.push(withoutComment.trim());
+      } else if (depth === 1) {
+        const fieldMatch = line.match(/^\s*(\w+)(\?)?:\s*(.+?)\s*(?:\/\/\s*(.*))?$/);
+        if (fieldMatch) {
+          const field = {
+            name: fieldMatch[1],
+            type: fieldMatch[3].replace(/[;,]$/, ''),
+            required: !fieldMatch[2],
+            description: fieldMatch[4] ? fieldMatch[4].trim() : ''
+          };
+          fields.push(field);
+          // Object types spanning several lines are collected and flattened below
+          if (field.type.endsWith('{')) {
+            nested = { field, parts: [field.type] };
+          }
         }
       }
+
+      for (const char of withoutComment) {
+        if (char === '{') depth++;
+        if (char === '}') depth--;
+      }
+
+      if (nested && depth === 1) {
+        nested.field.type = this.flattenType(nested.parts.join(' ')).replace(/[;,]$/, '');
+        nested = null;
+      }
+      if (depth <= 0 && fields.length) {
+        break;
+      }
+    }
+
+    return fields;
+  }
+
+  // Collapse a multi-line TypeScript type literal onto one line with comma separators
+  flattenType(text) {
+    return text
+      .replace(/;\s*}/g, ' }')
+      .replace(/;\s*/g, ', ')
+      .replace(/{\s*/g, '{ ')
+      .replace(/\s*}/g, ' }')
+      .replace(/{ }/g, '{}')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // "type: ModalType, options?: {...}" style positional parameters
+  parsePositionalArgs(rawArgs) {
+    const args = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of rawArgs) {
+      if ('({<['.includes(char)) depth++;
+      if (')}>]'.includes(char)) depth--;
+      if (char === ',' && depth === 0) {
+        args.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    args.push(current);
+
+    return args
+      .map(arg => arg.trim().match(/^(\w+)(\?)?:\s*(.+)$/))
+      .filter(Boolean)
+      .map(match => ({
+        name: match[1],
+        type: this.flattenType(match[3]),
+        required: !match[2],
+        description: ''
+      }));
+  }
+
+  // Rows of a "| Parameter | Type | Required | Description |" table
+  parseParameterTable(sectionLines) {
+    const headerIndex = sectionLines.findIndex(line => /^\|\s*Parameter\s*\|/i.test(line.trim()));
+    if (headerIndex === -1) {
+      return [];
     }
 
-    // Don't forget the last method
-    if (currentMethod) {
-      this.addMethod(currentMethod);
+    const columns = sectionLines[headerIndex].split('|').map(cell => cell.trim().toLowerCase());
+    const parameters = [];
+
+    for (const line of sectionLines.slice(headerIndex + 2)) {
+      if (!line.trim().startsWith('|')) break;
+      const cells = line.split('|').map(cell => cell.trim());
+      const cell = key => cells[columns.indexOf(key)] || '';
+      parameters.push({
+        name: cell('parameter').replace(/`/g, ''),
+        type: cell('type').replace(/`/g, ''),
+        required: /✅|yes|true/i.test(cell('required')),
+        description: cell('description')
+      });
+    }
+
+    return parameters;
+  }
+
+  // Signature types win (they're more precise); tables fill in descriptions and extra rows
+  mergeParameters(primary, secondary) {
+    const merged = primary.map(param => ({ ...param }));
+    for (const param of secondary) {
+      const existing = merged.find(p => p.name === param.name);
+      if (!existing) {
+        merged.push(param);
+      } else if (!existing.description) {
+        existing.description = param.description;
+      }
     }
+    return merged;
   }
 
   addMethod(method) {
+    // Some methods are documented in more than one chapter; keep the first section
+    const existing = this.methods.find(m => m.name === method.name);
+    if (existing) {
+      ['signature', 'description', 'returns'].forEach(key => {
+        if (!existing[key]) existing[key] = method[key];
+      });
+      if (existing.parameters.length === 0) existing.parameters = method.parameters;
+      return;
+    }
+
     this.methods.push(method);
     
     // Add to categories
     if (!this.categories[method.category]) {
-      this.categories[method.category] = { methods: [] };
+      this.categories[method.category] = {
+        description: this.categoryMap.categories[method.category] || '',
+        methods: []
+      };
+    }
+    this.categories[method.category].methods.push(method.name);
+    if (method.subcategory) {
+      const subcategories = this.categories[method.category].subcategories =
+        this.categories[method.category].subcategories || {};
+      subcategories[method.subcategory] = [...(subcategories[method.subcategory] || []), method.name];
     }
-    this.categories[method.category].methods.push(method);
 
     // Add to search keywords
     this.addSearchKeywords(method);
@@ -116,61 +529,45 @@ class MemberstackIndexer {
   }
 
   generateIndex() {
-    // Extract common authentication methods
-    const authMethods = [
-      'loginMemberEmailPassword',
-      'signupMemberEmailPassword', 
-      'loginMemberPasswordless',
-      'signupMemberPasswordless',
-      'logoutMember',
-      'sendMemberResetPasswordEmail',
-      'resetMemberPassword',
-      'updateMemberPassword'
-    ];
-
-    // Extract member management methods
-    const memberMethods = [
-      'getCurrentMember',
-      'updateMember',
-      'getMemberMetaData',
-      'updateMemberMetaData',
-      'deleteMember',
-      'getMemberJSON',
-      'updateMemberJSON'
-    ];
-
-    // Extract plan/billing methods
-    const planMethods = [
-      'purchasePlansWithCheckout',
-      'openBillingPortal',
-      'getActivePlans',
-      'updatePlan',
-      'cancelPlan',
-      'getMemberPlans'
-    ];
-
-    // Build the complete index
-    const index = {
-      version: "2.0.0",
+    // Field order and shape follow docs/memberstack-index.schema.json
+    return {
+      version: INDEX_VERSION,
       totalMethods: this.methods.length,
-      lastUpdated: new Date().toISOString(),
-      categories: this.categories,
-      searchKeywords: this.searchKeywords,
-      quickReference: {
-        authentication: authMethods.filter(m => this.methods.find(method => method.name === m)),
-        members: memberMethods.filter(m => this.methods.find(method => method.name === m)),
-        plans: planMethods.filter(m => this.methods.find(method => method.name === m))
-      },
-      allMethods: this.methods.map(m => ({
+      lastUpdated: this.lastUpdated || new Date().toISOString().slice(0, 10),
+      categories: this.sortCategories(),
+      quickReference: this.buildQuickReference(),
+      methodDetails: this.methods.map(m => ({
         name: m.name,
-        category: m.category,
         signature: m.signature,
         returns: m.returns,
-        docLocation: `complete.md#L${m.lineNumber}`
-      }))
+        category: m.category,
+        ...(m.subcategory ? { subcategory: m.subcategory } : {}),
+        description: m.description,
+        parameters: m.parameters,
+        ...(m.startLine ? { lines: { start: m.startLine, end: m.endLine } } : {})
+      })),
+      searchKeywords: this.searchKeywords,
+      errors: this.errors || {}
     };
+  }
 
-    return index;
+  // In the order categories.json lists them, whichever chapter a method was found in first
+  sortCategories() {
+    const order = Object.keys(this.categoryMap.categories);
+    const rank = name => (order.includes(name) ? order.indexOf(name) : order.length);
+    return Object.fromEntries(Object.entries(this.categories).sort(([a], [b]) => rank(a) - rank(b)));
+  }
+
+  // Curated common methods, limited to the ones this build actually found
+  buildQuickReference() {
+    const quickReference = {};
+    Object.entries(this.categoryMap.quickReference || {}).forEach(([group, names]) => {
+      const found = names.filter(name => this.methods.some(method => method.name === name));
+      if (found.length) {
+        quickReference[group] = found;
+      }
+    });
+    return quickReference;
   }
 
   async buildFromFile(filePath) {
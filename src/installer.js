@@ -1,757 +1,1300 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const fetch = require('node-fetch');
 const chalk = require('chalk');
-
-const GITHUB_BASE_URL = 'https://raw.githubusercontent.com/julianmemberstack/memberstack-ai-docs/main';
+const MemberstackSearch = require('./search');
+const MemberstackMcpServer = require('./mcp-server');
+const MemberstackChecker = require('./checker');
+const { validateIndex } = require('./index-schema');
+const TemplateRenderer = require('./template-renderer');
+const { RC_FILE, loadConfig, saveConfig } = require('./config');
+const { MANIFEST_FILE, hashContent, extractSection, readManifest, createManifest, sameManifest } = require('./manifest');
+const FileTransaction = require('./file-transaction');
+const { formatDiff, createPatch, diffStats } = require('./unified-diff');
+const { diffIndexes, hasChanges } = require('./changelog');
+const { MEMBERSTACK_PACKAGE, findWorkspacePackages } = require('./workspaces');
+const { METHODS_DIR, TOPICS_DIR, buildChunks, annotateIndex } = require('./chunker');
+const { PROFILES, parseList, resolveCategories, filterIndex } = require('./profiles');
+const { TYPES_FILE, extractTypes, renderTypesFile, isTypesFile } = require('./types');
+const { FRAMEWORKS, PACKS_DIR, getFramework, detectFramework, renderFrameworkSetup, renderContextPack } = require('./frameworks');
+const targets = require('./targets');
+
+const GITHUB_BASE_URL = 'https://raw.githubusercontent.com/julianmemberstack/memberstack-ai-docs';
 const MEMBERSTACK_DIR = '.memberstack';
-const CLAUDE_MARKER_START = '<!-- MEMBERSTACK-AI-DOCS-START -->';
-const CLAUDE_MARKER_END = '<!-- MEMBERSTACK-AI-DOCS-END -->';
-const CURSOR_MARKER_START = '# MEMBERSTACK-AI-DOCS-START';
-const CURSOR_MARKER_END = '# MEMBERSTACK-AI-DOCS-END';
-// Codex (AGENTS.md) uses hidden HTML markers like CLAUDE
-const CODEX_MARKER_START = '<!-- MEMBERSTACK-AI-DOCS-START -->';
-const CODEX_MARKER_END = '<!-- MEMBERSTACK-AI-DOCS-END -->';
+const BACKUPS_DIR = 'backups';
+const BUNDLED_DOCS_DIR = path.join(__dirname, '..', 'docs');
+const BUNDLED_INDEX_PATH = path.join(BUNDLED_DOCS_DIR, 'memberstack-index.json');
+const BUNDLED_DOC_PATH = path.join(BUNDLED_DOCS_DIR, 'memberstack-complete.md');
+// Label for the docs shipped in the package. They are rebuilt between releases, so
+// they're named by content rather than by a release tag they may not match
+const BUNDLED_DOCS_VERSION = `bundled-${hashContent(fs.readFileSync(BUNDLED_DOC_PATH)).slice(0, 8)}`;
+// Installed name → name in docs/ (bundled and on GitHub)
+const DOC_FILES = [
+  { name: 'complete.md', source: 'memberstack-complete.md' },
+  { name: 'index.json', source: 'memberstack-index.json' },
+  { name: 'quickref.md', source: 'memberstack-quickref.md' }
+];
+// MCP server entry written to each target's project-level MCP config
+const MCP_SERVER_NAME = 'memberstack';
+const MCP_SERVER_CONFIG = { command: 'npx', args: ['-y', 'memberstack-ai-docs', 'mcp'] };
 
 class MemberstackInstaller {
   constructor(options = {}) {
     this.options = options;
     this.projectRoot = process.cwd();
     this.memberstackDir = path.join(this.projectRoot, MEMBERSTACK_DIR);
+    this.config = null;
+    this.packages = null;
+  }
+
+  // --root: install somewhere other than the current directory
+  setProjectRoot(dir) {
+    const root = path.resolve(dir);
+    if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+      throw new Error(`${dir} is not a directory`);
+    }
+    this.projectRoot = root;
+    this.memberstackDir = path.join(root, MEMBERSTACK_DIR);
+    this.config = null;
+    this.packages = null;
+  }
+
+  // Project config (.memberstackrc / memberstack-ai-docs.config.js), read once per run.
+  // Registers any third-party targets it declares.
+  getConfig() {
+    if (!this.config) {
+      this.config = loadConfig(this.projectRoot);
+      if (this.config.memberstackDir) {
+        this.memberstackDir = path.resolve(this.projectRoot, this.config.memberstackDir);
+      }
+      targets.registerConfigTargets(this.config, this.projectRoot);
+    }
+    return this.config;
+  }
+
+  // Command-line flags win over the project config
+  withConfig(options) {
+    const config = this.getConfig();
+    const framework = options.framework || config.framework;
+    if (framework && !getFramework(framework)) {
+      throw new Error(`Unknown framework '${framework}'. Available: ${FRAMEWORKS.map(candidate => candidate.id).join(', ')}`);
+    }
+    const profile = options.profile || config.profile;
+    if (profile && !(profile in PROFILES)) {
+      throw new Error(`Unknown profile '${profile}'. Available: ${Object.keys(PROFILES).join(', ')}`);
+    }
+    return {
+      ...options,
+      aiTools: options.aiTools || config.aiTools,
+      cursorFormat: options.cursorFormat || config.cursorFormat,
+      docsVersion: options.docsVersion || config.docsVersion,
+      docsMirror: options.docsMirror || process.env.MEMBERSTACK_DOCS_MIRROR || config.docsMirror,
+      mcp: options.mcp !== false && config.mcp !== false,
+      framework,
+      workspaces: Boolean(options.workspaces || config.workspaces),
+      profile,
+      include: parseList(options.include) || config.include,
+      exclude: parseList(options.exclude) || config.exclude,
+      types: options.types || config.types
+    };
+  }
+
+  // Path to the docs as seen from the project root, or from a workspace package
+  getMemberstackDirName(pkg = null) {
+    return path.relative(this.getLocationRoot(pkg), this.memberstackDir).split(path.sep).join('/');
+  }
+
+  getLocationRoot(pkg) {
+    return pkg ? path.join(this.projectRoot, pkg.dir) : this.projectRoot;
+  }
+
+  // Where agent files go: each workspace package that uses Memberstack (--workspaces),
+  // or just the project root (null). The docs are always shared at the root.
+  getLocations(options) {
+    if (!options.workspaces) {
+      return [null];
+    }
+    if (!this.packages) {
+      this.packages = findWorkspacePackages(this.projectRoot);
+      if (this.packages.length === 0) {
+        throw new Error(`No workspace packages in ${this.projectRoot} depend on ${MEMBERSTACK_PACKAGE}`);
+      }
+    }
+    return this.packages;
+  }
+
+  // Every selected target at every location
+  getSelections(aiTools, options) {
+    const selectedTargets = this.getTargets(aiTools);
+    return this.getLocations(options).flatMap(pkg =>
+      selectedTargets.map(target => ({ target, output: this.getOutput(target, options, pkg) })));
+  }
+
+  loadTargets() {
+    this.getConfig();
+    return targets.listTargets();
+  }
+
+  getTargets(ids) {
+    this.loadTargets();
+    return ids.map(id => {
+      const target = targets.getTarget(id);
+      if (!target) {
+        throw new Error(`Unknown AI tool '${id}'. Available: ${targets.listTargets().map(t => t.id).join(', ')}`);
+      }
+      return target;
+    });
+  }
+
+  // The output a target writes to this run, moved if the config sets a custom path for it
+  getOutput(target, options, pkg = null) {
+    const output = targets.resolveOutput(target, { projectRoot: this.getLocationRoot(pkg), options });
+    const customPath = (this.getConfig().paths || {})[target.id];
+    return this.inPackage(customPath ? { ...output, file: customPath } : output, pkg);
+  }
+
+  // Every location a target may have written to, for cleanup and migration
+  getOutputs(target, options, pkg = null) {
+    const current = this.getOutput(target, options, pkg);
+    const outputs = target.outputs.map(output => this.inPackage(output, pkg));
+    return outputs.some(output => output.file === current.file)
+      ? outputs
+      : [...outputs, current];
+  }
+
+  // Output paths are relative to the project root, so a package's files get its directory prepended
+  inPackage(output, pkg) {
+    return pkg ? { ...output, file: path.posix.join(pkg.dir, output.file), package: pkg } : output;
+  }
+
+  // Tools recorded in the config, else the ones already set up in the project
+  detectAITools(options) {
+    const config = this.getConfig();
+    if (config.aiTools) {
+      return config.aiTools;
+    }
+    const detected = this.detectInstalledTools(options);
+    return detected.length > 0 ? detected : targets.getDefaultTargetIds();
+  }
+
+  // Tools whose files or config directories already exist in the project
+  detectInstalledTools(options) {
+    const locations = this.getLocations(this.withConfig(options));
+    return this.loadTargets()
+      .filter(target => locations.some(pkg => target.detect({ projectRoot: this.getLocationRoot(pkg), options })))
+      .map(target => target.id);
   }
 
   async install(options = {}) {
+    this.quiet = Boolean(options.json);
     try {
-      console.log(chalk.blue('📦 Installing Memberstack AI Documentation...'));
+      this.log(chalk.blue('📦 Installing Memberstack AI Documentation...'));
       
-      // Get AI tools to install for (default to all)
-      const aiTools = options.aiTools || ['claude', 'cursor', 'codex'];
+      // Get AI tools to install for (flags, then the project config, then the default targets)
+      options = this.withConfig(options);
+      const aiTools = options.aiTools || targets.getDefaultTargetIds();
+      const selected = this.getSelections(aiTools, options);
+      this.getRenderer().checkSections();
       
       if (options.dryRun) {
-        console.log(chalk.yellow('🔍 DRY RUN MODE - No files will be modified'));
+        this.log(chalk.yellow('🔍 DRY RUN MODE - No files will be modified'));
+      }
+      if (options.workspaces) {
+        this.log(chalk.cyan(`📁 Workspace packages using ${MEMBERSTACK_PACKAGE}: ${this.packages.map(pkg => pkg.dir).join(', ')}`));
       }
+      this.getLocations(options).forEach(pkg => {
+        const framework = getFramework(this.getProjectFramework(pkg, options));
+        if (framework) {
+          this.log(chalk.gray(`🧭 ${options.framework ? 'Using' : 'Detected'} ${framework.label}${pkg ? ` in ${pkg.dir}` : ''}; adding its setup example and context pack`));
+        }
+      });
+
+      const command = options.update ? 'update' : 'install';
+      // What's installed now, to compare the new docs against
+      const installed = this.readInstalled();
+      this.beginTransaction(command, options);
 
       // Step 1: Create .memberstack directory
       await this.createMemberstackDirectory(options);
 
-      // Step 2: Download documentation files
-      await this.downloadDocumentation(options);
-
-      // Step 3: Update AI-specific files based on selection
-      if (aiTools.includes('claude')) {
-        await this.updateClaudeFile(options);
-      } else {
-        console.log(chalk.gray('⊘ Skipping CLAUDE.md (Claude Code not selected)'));
+      // Step 2: Download documentation files, then report how the API changed
+      const docFiles = await this.downloadDocumentation(options, installed.manifest);
+      const index = JSON.parse(this.files.read(path.join(this.memberstackDir, 'index.json')));
+      const docsVersion = options.docsVersion || BUNDLED_DOCS_VERSION;
+      const apiChanges = installed.index ? diffIndexes(installed.index, index, {
+        fromVersion: installed.manifest ? installed.manifest.docsVersion : null,
+        toVersion: docsVersion
+      }) : null;
+      if (apiChanges && !options.json) {
+        this.printApiChanges(apiChanges);
       }
 
-      if (aiTools.includes('cursor')) {
-        await this.updateCursorRules(options);
-      } else {
-        console.log(chalk.gray('⊘ Skipping .cursorrules (Cursor not selected)'));
+      await this.writeChunks();
+      await this.writeTypes(options);
+      await this.writeContextPacks(options);
+
+      // Step 3: Update AI-specific files based on selection. Files this tool created are
+      // marked in the manifest, so --remove can delete them once they're empty again
+      const aiFiles = [];
+      const previousAiFiles = (installed.manifest && installed.manifest.aiFiles) || [];
+      for (const { target, output } of selected) {
+        const created = !this.files.exists(output.file) ||
+          previousAiFiles.some(entry => entry && entry.file === output.file && entry.created);
+        const aiFile = await this.updateTarget(target, output, options);
+        aiFiles.push(created ? { ...aiFile, created: true } : aiFile);
       }
 
-      if (aiTools.includes('codex')) {
-        await this.updateCodexAgents(options);
-      } else {
-        console.log(chalk.gray('⊘ Skipping AGENTS.md (Codex not selected)'));
+      const skipped = targets.listTargets().filter(target => !aiTools.includes(target.id));
+      if (skipped.length > 0) {
+        this.log(chalk.gray(`⊘ Skipping ${skipped.map(target => target.label).join(', ')} (not selected)`));
       }
 
-      // Step 4: Validate installation
-      if (!options.dryRun) {
-        await this.validate({ ...options, aiTools });
+      // Step 4: Register the local MCP server for tools that support it
+      if (options.mcp !== false) {
+        await this.registerMcpServer(selected, options);
       }
 
-      console.log(chalk.green.bold('\n✅ Memberstack AI Documentation installed successfully!'));
-      
-      // Show what was installed
-      console.log(chalk.cyan('\n📚 Installed for:'));
-      if (aiTools.includes('claude')) {
-        console.log(chalk.white('   ✓ Claude Code (CLAUDE.md)'));
+      // Step 5: Record the setup so teammates and --update reproduce it,
+      // and checksums so --validate can detect drift
+      await this.saveSettings(selected, options);
+      const manifest = createManifest({
+        docsVersion,
+        files: docFiles,
+        aiFiles
+      });
+      const manifestPath = path.join(this.memberstackDir, MANIFEST_FILE);
+      const previous = this.files.exists(manifestPath) ? this.files.read(manifestPath) : null;
+      // Keep the old manifest when nothing but the timestamp changed, so a no-op run changes nothing
+      if (!previous || !sameManifest(previous, manifest)) {
+        this.files.write(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+        this.report(chalk.green(`✓ Wrote ${MANIFEST_FILE}`));
       }
-      if (aiTools.includes('cursor')) {
-        console.log(chalk.white('   ✓ Cursor (.cursorrules)'));
+
+      if (options.dryRun) {
+        this.printPlan(options, { command, aiTools, docsVersion: manifest.docsVersion, apiChanges });
+        this.files = null;
+        return;
       }
-      if (aiTools.includes('codex')) {
-        console.log(chalk.white('   ✓ Codex (AGENTS.md)'));
+      this.commitTransaction();
+
+      // Step 6: Validate installation
+      if (!await this.validate({ ...options, aiTools })) {
+        throw new Error('The installed files failed validation (see the checks above)');
       }
+
+      this.log(chalk.green.bold('\n✅ Memberstack AI Documentation installed successfully!'));
       
-      console.log(chalk.cyan('\n📖 Documentation available:'));
-      console.log(chalk.white('   • 30 common methods (quick reference)'));
-      console.log(chalk.white('   • 49 total methods (searchable index)'));
-      console.log(chalk.white('   • Complete documentation with examples'));
+      // Show what was installed
+      this.log(chalk.cyan('\n📚 Installed for:'));
+      selected.forEach(({ target, output }) => {
+        this.log(chalk.white(`   ✓ ${target.label} (${output.file})`));
+      });
       
-      console.log(chalk.gray('\n💡 Commands:'));
-      console.log(chalk.white('   npx memberstack-ai-docs --update    # Update to latest'));
-      console.log(chalk.white('   npx memberstack-ai-docs --remove    # Uninstall cleanly'));
-      console.log(chalk.white('   npx memberstack-ai-docs --validate  # Check installation'));
+      const { totalMethods, quickReferenceCount } = this.getRenderer().getVariables();
+      this.log(chalk.cyan('\n📖 Documentation available:'));
+      this.log(chalk.white(`   • ${quickReferenceCount} common methods (quick reference)`));
+      this.log(chalk.white(`   • ${totalMethods} total methods (searchable index)`));
+      this.log(chalk.white(`   • One file per method and per topic (${METHODS_DIR}/, ${TOPICS_DIR}/)`));
+      this.log(chalk.white(`   • TypeScript declarations for params and payloads (${TYPES_FILE}${options.types ? `, ${options.types}` : ''})`));
+      this.log(chalk.white('   • Complete documentation with examples'));
+      
+      this.log(chalk.gray('\n💡 Commands:'));
+      this.log(chalk.white('   npx memberstack-ai-docs@latest --update  # Update to the latest docs'));
+      this.log(chalk.white('   npx memberstack-ai-docs --remove         # Uninstall cleanly'));
+      this.log(chalk.white('   npx memberstack-ai-docs --validate       # Check installation'));
+      this.log(chalk.white('   npx memberstack-ai-docs mcp              # Start the MCP docs server'));
 
     } catch (error) {
       console.error(chalk.red('❌ Installation failed:'), error.message);
+      this.abortTransaction();
       throw error;
     }
   }
 
+  log(...args) {
+    if (!this.quiet) {
+      console.log(...args);
+    }
+  }
+
+  // Per-file progress; a dry run lists its changes in printPlan() instead
+  report(message) {
+    if (!this.files || !this.files.dryRun) {
+      this.log(message);
+    }
+  }
+
+  // All file changes of a run go through this.files so they can be backed up and undone,
+  // or, in a dry run, staged and shown as a diff
+  beginTransaction(command, options, backupRoot = path.join(this.memberstackDir, BACKUPS_DIR)) {
+    this.files = new FileTransaction({ projectRoot: this.projectRoot, backupRoot, command, dryRun: Boolean(options.dryRun) });
+    return this.files;
+  }
+
+  // What the dry run would have changed: diffs for project files, line counts for
+  // the docs in .memberstack/ (too long to be worth reading as a diff)
+  printPlan(options, summary) {
+    const docsDir = this.getMemberstackDirName() + path.sep;
+    const changes = this.files.getChanges().map(change => ({
+      ...change,
+      ...diffStats(change.before, change.after),
+      showPatch: !change.path.endsWith('/') && !change.path.startsWith(docsDir)
+    }));
+
+    if (options.json) {
+      console.log(JSON.stringify({
+        dryRun: true,
+        ...summary,
+        changes: changes.map(change => ({
+          path: change.path,
+          action: change.action,
+          additions: change.additions,
+          deletions: change.deletions,
+          ...(change.showPatch ? { patch: createPatch(change.path, change.before, change.after) } : {}),
+          ...(change.note ? { warning: change.note } : {})
+        }))
+      }, null, 2));
+      return;
+    }
+
+    if (changes.length === 0) {
+      this.log(chalk.green('\n✓ Nothing to change; everything is up to date'));
+      return;
+    }
+
+    const symbols = { create: chalk.green('+'), update: chalk.yellow('~'), delete: chalk.red('-') };
+    this.log(chalk.cyan(`\n📝 ${changes.length} file${changes.length === 1 ? '' : 's'} would change:\n`));
+    changes.forEach(change => {
+      const stats = change.path.endsWith('/') ? '' : chalk.gray(` (+${change.additions} -${change.deletions})`);
+      this.log(`${symbols[change.action]} ${change.action} ${change.path}` + stats);
+      if (change.note) {
+        this.log(chalk.yellow(`  ⚠ ${change.note}`));
+      }
+    });
+
+    changes.filter(change => change.showPatch).forEach(change => {
+      this.log('\n' + formatDiff(change.path, change.before, change.after));
+    });
+    this.log(chalk.gray('\n  Run without --dry-run to apply these changes'));
+  }
+
+  commitTransaction() {
+    const backupDir = this.files.commit();
+    if (backupDir) {
+      const count = this.files.touched.size;
+      this.log(chalk.gray(`  Backed up ${count} file${count === 1 ? '' : 's'} to ${path.relative(this.projectRoot, backupDir)} (undo with --rollback)`));
+    }
+    this.files = null;
+  }
+
+  // Puts back whatever a failed run had already changed
+  abortTransaction() {
+    if (!this.files || this.files.touched.size === 0) {
+      return;
+    }
+    const restored = this.files.rollback();
+    this.files = null;
+    console.error(chalk.yellow(`↩ Restored ${restored.length} files changed before the error`));
+  }
+
+  async rollback() {
+    this.log(chalk.blue('↩ Rolling back the last Memberstack AI Documentation change...'));
+    this.getConfig();
+
+    const backupRoot = path.join(this.memberstackDir, BACKUPS_DIR);
+    const backup = FileTransaction.restoreLatest(this.projectRoot, backupRoot);
+    if (!backup) {
+      throw new Error(`No backups found in ${path.relative(this.projectRoot, backupRoot)}`);
+    }
+
+    backup.files.forEach(file => {
+      this.log(chalk.green(`✓ ${file.existed ? 'Restored' : 'Removed'} ${file.path}`));
+    });
+    this.log(chalk.green.bold(`\n✅ Rolled back the ${backup.command} from ${backup.createdAt}`));
+
+    const remaining = FileTransaction.listBackups(backupRoot).length;
+    if (remaining > 0) {
+      this.log(chalk.gray(`  ${remaining} older backup${remaining === 1 ? '' : 's'} left; run --rollback again to go further back`));
+    }
+  }
+
   async createMemberstackDirectory(options) {
     if (options.dryRun) {
-      console.log(chalk.gray('  Would create .memberstack/ directory'));
       return;
     }
 
     if (!fs.existsSync(this.memberstackDir)) {
       fs.mkdirSync(this.memberstackDir, { recursive: true });
-      console.log(chalk.green('✓ Created .memberstack/ directory'));
+      this.log(chalk.green(`✓ Created ${this.getMemberstackDirName()}/ directory`));
     } else {
-      console.log(chalk.blue('✓ .memberstack/ directory already exists'));
+      this.log(chalk.blue(`✓ ${this.getMemberstackDirName()}/ directory already exists`));
     }
   }
 
-  async downloadDocumentation(options) {
-    const files = [
-      { name: 'complete.md', url: `${GITHUB_BASE_URL}/docs/memberstack-complete.md` },
-      { name: 'index.json', url: `${GITHUB_BASE_URL}/docs/memberstack-index.json` },
-      { name: 'quickref.md', url: `${GITHUB_BASE_URL}/docs/memberstack-quickref.md` }
-    ];
+  // Installs the docs bundled with this package unless another version is pinned,
+  // in which case they come from GitHub (or the configured mirror)
+  // Files are only rewritten when their content changed; previousManifest (if any)
+  // tells local edits apart from older docs
+  async downloadDocumentation(options, previousManifest) {
+    const docsVersion = options.docsVersion || BUNDLED_DOCS_VERSION;
+    const bundled = options.offline || docsVersion === BUNDLED_DOCS_VERSION;
+    const baseUrl = `${(options.docsMirror || GITHUB_BASE_URL).replace(/\/+$/, '')}/${docsVersion}`;
+    const installed = [];
+
+    if (options.offline && docsVersion !== BUNDLED_DOCS_VERSION) {
+      throw new Error(`--offline installs the bundled docs (${BUNDLED_DOCS_VERSION}) and can't provide ${docsVersion}`);
+    }
 
-    for (const file of files) {
+    for (const file of DOC_FILES) {
       const filePath = path.join(this.memberstackDir, file.name);
-      
-      if (options.dryRun) {
-        console.log(chalk.gray(`  Would download ${file.name}`));
+      const url = `${baseUrl}/docs/${file.source}`;
+
+      if (bundled) {
+        const content = this.selectCategories(file, fs.readFileSync(path.join(BUNDLED_DOCS_DIR, file.source), 'utf-8'), options);
+        this.writeDocFile(file, content, previousManifest, `Installed ${file.name} (${BUNDLED_DOCS_VERSION})`);
+        installed.push({ name: file.name, source: 'bundled', content });
         continue;
       }
 
       try {
-        if (this.options.verbose) {
-          console.log(chalk.gray(`  Fetching ${file.url}...`));
+        if (options.verbose) {
+          this.log(chalk.gray(`  Fetching ${url}...`));
         }
         
-        const response = await fetch(file.url);
+        const response = await fetch(url);
         if (!response.ok) {
-          throw new Error(`Failed to fetch ${file.name}: ${response.statusText}`);
+          throw new Error(`${response.status} ${response.statusText}`);
         }
         
-        const content = await response.text();
-        fs.writeFileSync(filePath, content);
-        console.log(chalk.green(`✓ Downloaded ${file.name}`));
-      } catch (error) {
-        // If download fails, use local files if available
-        const localPath = path.join(__dirname, '..', 'docs', file.name);
-        if (fs.existsSync(localPath)) {
-          fs.copyFileSync(localPath, filePath);
-          console.log(chalk.yellow(`✓ Used local ${file.name}`));
-        } else {
-          throw new Error(`Failed to download ${file.name}: ${error.message}`);
+        const text = await response.text();
+        // Content-Length is the compressed size when the response was gzipped
+        const expectedLength = response.headers.get('content-encoding') ? null : response.headers.get('content-length');
+        if (expectedLength && Buffer.byteLength(text) < Number(expectedLength)) {
+          throw new Error(`truncated (${Buffer.byteLength(text)} of ${expectedLength} bytes)`);
         }
+        const content = this.selectCategories(file, text, options);
+
+        this.writeDocFile(file, content, previousManifest, `Downloaded ${file.name} (${docsVersion})`);
+        installed.push({ name: file.name, source: 'remote', content });
+      } catch (error) {
+        // A pinned version must not silently turn into different docs
+        throw new Error(`Failed to download ${file.name} from ${url}: ${error.message}. Use --offline to install the bundled docs (${BUNDLED_DOCS_VERSION}) instead.`);
       }
     }
+
+    return installed;
   }
 
-  async updateClaudeFile(options) {
-    const claudePath = path.join(this.projectRoot, 'CLAUDE.md');
-    const templatePath = path.join(__dirname, '..', 'templates', 'claude-template.md');
-    
-    if (options.dryRun) {
-      if (fs.existsSync(claudePath)) {
-        console.log(chalk.gray('  Would update existing CLAUDE.md'));
-      } else {
-        console.log(chalk.gray('  Would create new CLAUDE.md'));
+  // index.json limited to the categories chosen with --profile, --include and --exclude;
+  // the method and topic chunks follow the index, so they shrink with it
+  selectCategories(file, content, options) {
+    if (file.name !== 'index.json') {
+      return content;
+    }
+    const index = JSON.parse(content);
+    const categories = resolveCategories(index, options);
+    if (!categories) {
+      return content;
+    }
+
+    const selected = annotateIndex(filterIndex(index, categories), this.readDocs());
+    this.log(chalk.gray(`✂ Installing ${selected.totalMethods} of ${index.methodDetails.length} methods ` +
+      `(left out: ${selected.excluded.categories.join(', ')})`));
+    return JSON.stringify(selected, null, 2) + '\n';
+  }
+
+  writeDocFile(file, content, previousManifest, message) {
+    const filePath = path.join(this.memberstackDir, file.name);
+    const recorded = previousManifest && previousManifest.files && previousManifest.files[file.name];
+    if (recorded && this.files.exists(filePath) && hashContent(this.files.read(filePath)) !== recorded.sha256 &&
+        this.files.read(filePath) !== content) {
+      this.report(chalk.yellow(`⚠ Replacing local edits to ${this.getMemberstackDirName()}/${file.name}`));
+      this.files.note(filePath, 'replaces local edits');
+    }
+
+    if (this.files.write(filePath, content)) {
+      this.report(chalk.green(`✓ ${message}`));
+    } else {
+      this.report(chalk.gray(`  ${file.name} is unchanged`));
+    }
+  }
+
+  // Manifest and method index of the current install; either may be missing or unreadable
+  readInstalled() {
+    const read = fileName => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(this.memberstackDir, fileName), 'utf-8'));
+      } catch (error) {
+        return null;
       }
+    };
+    return { manifest: read(MANIFEST_FILE), index: read('index.json') };
+  }
+
+  printApiChanges(changes) {
+    // Installs from before the manifest don't record which docs they had
+    const versions = !changes.fromVersion || changes.fromVersion === changes.toVersion
+      ? `docs ${changes.toVersion}`
+      : `docs ${changes.fromVersion} → ${changes.toVersion}`;
+
+    if (!hasChanges(changes)) {
+      this.log(chalk.gray(`  No Memberstack API changes (${versions})`));
       return;
     }
 
-    // Read template
-    let template;
-    if (fs.existsSync(templatePath)) {
-      template = fs.readFileSync(templatePath, 'utf-8');
+    this.log(chalk.cyan(`\n📋 Memberstack API changes (${versions}):`));
+    changes.added.forEach(method => {
+      this.log(chalk.green(`   + ${method.signature || method.name}`));
+    });
+    changes.removed.forEach(method => {
+      this.log(chalk.red(`   - ${method.signature || method.name}`));
+    });
+    changes.changed.forEach(method => {
+      this.log(chalk.yellow(`   ~ ${method.name}`));
+      if (method.before.signature !== method.after.signature) {
+        this.log(chalk.gray(`       ${method.before.signature} → ${method.after.signature}`));
+      }
+      if (method.before.returns !== method.after.returns) {
+        this.log(chalk.gray(`       returns ${method.before.returns} → ${method.after.returns}`));
+      }
+    });
+    this.log('');
+  }
+
+  async updateTarget(target, output, options) {
+    // Sections left in the target's other locations, e.g. .cursorrules after moving to MDC
+    const stale = target.outputs
+      .map(other => this.inPackage(other, output.package))
+      .filter(other => other.file !== output.file && this.hasSection(other));
+
+    const template = this.getRenderer(output.package, options).render(output.template, {
+      toolName: target.label,
+      ...output.templateValues,
+      markerStart: output.markers.start,
+      markerEnd: output.markers.end
+    });
+
+    if (output.ownsFile || !this.files.exists(output.file)) {
+      // Files that belong to us entirely are rewritten rather than merged
+      const existed = this.files.exists(output.file);
+      if (this.files.write(output.file, template)) {
+        this.report(chalk.green(`✓ ${existed ? 'Updated' : 'Created'} ${output.file}`));
+      } else {
+        this.report(chalk.gray(`  ${output.file} is unchanged`));
+      }
     } else {
-      // Use embedded template
-      template = this.getClaudeTemplate();
+      await this.appendToFile(output.file, template, output.markers, options);
     }
 
-    if (fs.existsSync(claudePath)) {
-      // Update existing file
-      await this.appendToFile(claudePath, template, CLAUDE_MARKER_START, CLAUDE_MARKER_END, 'CLAUDE.md');
-    } else {
-      // Create new file
-      fs.writeFileSync(claudePath, template);
-      console.log(chalk.green('✓ Created CLAUDE.md'));
+    // Migrate: drop the old section so the tool doesn't load the docs twice
+    for (const other of stale) {
+      await this.removeOutput(other, options);
+      if (this.files.exists(other.file) && !this.files.read(other.file).trim()) {
+        this.files.remove(other.file);
+        this.removeEmptyDirectories(other.file);
+        this.report(chalk.green(`✓ Removed empty ${other.file} after migrating to ${output.file}`));
+      }
     }
+
+    return { target: target.id, file: output.file, sha256: hashContent(extractSection(template, output.markers) || template) };
   }
 
-  async updateCursorRules(options) {
-    const cursorPath = path.join(this.projectRoot, '.cursorrules');
-    const templatePath = path.join(__dirname, '..', 'templates', 'cursor-template.md');
-    
-    if (options.dryRun) {
-      if (fs.existsSync(cursorPath)) {
-        console.log(chalk.gray('  Would update existing .cursorrules'));
-      } else {
-        console.log(chalk.gray('  Would create new .cursorrules'));
+  hasSection(output) {
+    const filePath = path.join(this.projectRoot, output.file);
+    return fs.existsSync(filePath) &&
+      (output.ownsFile || fs.readFileSync(filePath, 'utf-8').includes(output.markers.start));
+  }
+
+  async removeOutput(output, options) {
+    if (!output.ownsFile) {
+      await this.removeFromFile(output.file, output.markers.start, output.markers.end, options);
+      return;
+    }
+
+    if (!this.files.exists(output.file)) {
+      return;
+    }
+
+    this.files.remove(output.file);
+    this.removeEmptyDirectories(output.file);
+    this.report(chalk.green(`✓ Removed ${output.file}`));
+  }
+
+  // Directories above a removed file that nothing else is in, e.g. .cursor/rules/ and .cursor/
+  removeEmptyDirectories(file) {
+    let dir = path.dirname(path.resolve(this.projectRoot, file));
+    while (!this.files.dryRun && dir.startsWith(this.projectRoot + path.sep) &&
+        fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+      fs.rmdirSync(dir);
+      dir = path.dirname(dir);
+    }
+  }
+
+  async saveSettings(selected, options) {
+    const cursor = selected.find(({ target }) => target.id === 'cursor');
+    const settings = {
+      aiTools: [...new Set(selected.map(({ target }) => target.id))],
+      ...(cursor ? { cursorFormat: cursor.output.name } : {}),
+      // Only an explicit pin is recorded; otherwise each package version brings its own docs
+      ...(options.docsVersion ? { docsVersion: options.docsVersion } : {}),
+      mcp: options.mcp !== false,
+      // Only an explicit choice is recorded; otherwise it's detected on each run
+      ...(options.framework ? { framework: options.framework } : {}),
+      ...(options.workspaces ? { workspaces: true } : {}),
+      ...(options.profile ? { profile: options.profile } : {}),
+      ...(options.include ? { include: options.include } : {}),
+      ...(options.exclude ? { exclude: options.exclude } : {}),
+      ...(options.types ? { types: options.types } : {})
+    };
+
+    let changed = false;
+    const savedTo = saveConfig(this.projectRoot, settings, (file, content) => {
+      changed = this.files.write(file, content);
+    });
+    if (savedTo) {
+      if (changed) {
+        this.report(chalk.green(`✓ Saved settings to ${savedTo}`));
       }
+    } else if (this.config.aiTools === undefined) {
+      this.log(chalk.gray(`  Add aiTools: ${JSON.stringify(settings.aiTools)} to ${this.config.configFile} to pin this selection`));
+    }
+  }
+
+  // Render from the installed index (as written by this run, if there is one) so
+  // counts and method lists match the installed docs
+  getRenderer(pkg = null, options = {}) {
+    const installedIndex = path.join(this.memberstackDir, 'index.json');
+    const framework = this.getProjectFramework(pkg, options);
+    const pack = framework && path.join(this.memberstackDir, PACKS_DIR, `${framework}.md`);
+    const rendererOptions = {
+      sections: this.getConfig().sections,
+      docsVersion: options.docsVersion || BUNDLED_DOCS_VERSION,
+      memberstackDir: this.getMemberstackDirName(pkg),
+      frameworkSetup: renderFrameworkSetup(framework, this.readDocs(),
+        pack && this.files && this.files.exists(pack) ? `${this.getMemberstackDirName(pkg)}/${PACKS_DIR}/${framework}.md` : null)
+    };
+    if (this.files && this.files.exists(installedIndex)) {
+      return new TemplateRenderer(JSON.parse(this.files.read(installedIndex)), rendererOptions);
+    }
+    return TemplateRenderer.fromFile(fs.existsSync(installedIndex) ? installedIndex : BUNDLED_INDEX_PATH, rendererOptions);
+  }
+
+  // Framework of the project root or a workspace package (null if unknown)
+  getProjectFramework(pkg = null, options = {}) {
+    return options.framework || detectFramework(this.getLocationRoot(pkg));
+  }
+
+  // One context pack per framework in use, written to <docs dir>/frameworks/<id>.md;
+  // packs for frameworks no longer in use are removed
+  async writeContextPacks(options) {
+    const packsDir = path.join(this.memberstackDir, PACKS_DIR);
+    const frameworks = [...new Set(this.getLocations(options)
+      .map(pkg => this.getProjectFramework(pkg, options))
+      .filter(Boolean))];
+    const docs = this.readDocs();
+    const docsVersion = options.docsVersion || BUNDLED_DOCS_VERSION;
+
+    frameworks.forEach(id => {
+      const pack = renderContextPack(id, docs, { docsVersion });
+      if (pack && this.files.write(path.join(packsDir, `${id}.md`), pack)) {
+        this.report(chalk.green(`✓ Wrote ${PACKS_DIR}/${id}.md (${getFramework(id).label} context pack)`));
+      }
+    });
+
+    if (!fs.existsSync(packsDir)) {
       return;
     }
+    fs.readdirSync(packsDir)
+      .filter(file => !frameworks.includes(path.basename(file, '.md')))
+      .forEach(file => {
+        this.files.remove(path.join(packsDir, file));
+        this.report(chalk.green(`✓ Removed ${PACKS_DIR}/${file} (framework no longer in use)`));
+      });
+    if (!this.files.dryRun && fs.readdirSync(packsDir).length === 0) {
+      fs.rmdirSync(packsDir);
+    }
+  }
 
-    // Read template
-    let template;
-    if (fs.existsSync(templatePath)) {
-      template = fs.readFileSync(templatePath, 'utf-8');
-    } else {
-      // Use embedded template (same as Claude but with different markers)
-      template = this.getCursorTemplate();
+  // complete.md split into methods/<name>.md and topics/<chapter>.md, so agents can
+  // open just the part they need; chunks the docs no longer have are removed
+  async writeChunks() {
+    const index = JSON.parse(this.files.read(path.join(this.memberstackDir, 'index.json')));
+    const { methods, topics } = buildChunks(this.readDocs(), index);
+    const chunks = [...methods, ...topics];
+    const written = chunks.filter(chunk => this.files.write(path.join(this.memberstackDir, chunk.file), chunk.content));
+    if (written.length > 0) {
+      this.report(chalk.green(`✓ Wrote ${written.length} doc chunks (${methods.length} methods, ${topics.length} topics)`));
     }
 
-    if (fs.existsSync(cursorPath)) {
-      // Update existing file
-      await this.appendToFile(cursorPath, template, CURSOR_MARKER_START, CURSOR_MARKER_END, '.cursorrules');
-    } else {
-      // Create new file
-      fs.writeFileSync(cursorPath, template);
-      console.log(chalk.green('✓ Created .cursorrules'));
+    const expected = new Set(chunks.map(chunk => chunk.file));
+    [METHODS_DIR, TOPICS_DIR].forEach(dir => {
+      const chunkDir = path.join(this.memberstackDir, dir);
+      if (!fs.existsSync(chunkDir)) {
+        return;
+      }
+      fs.readdirSync(chunkDir)
+        .filter(file => !expected.has(`${dir}/${file}`))
+        .forEach(file => {
+          this.files.remove(path.join(chunkDir, file));
+          this.report(chalk.green(`✓ Removed ${dir}/${file} (not in the installed docs)`));
+        });
+    });
+  }
+
+  // complete.md as installed by this run, else the bundled copy
+  // types.d.ts from the Types Reference chapter, and with --types a copy in the project
+  async writeTypes(options) {
+    const types = extractTypes(this.readDocs());
+    if (types.length === 0) {
+      return;
+    }
+    const content = renderTypesFile(types, { docsVersion: options.docsVersion || BUNDLED_DOCS_VERSION });
+    if (this.files.write(path.join(this.memberstackDir, TYPES_FILE), content)) {
+      this.report(chalk.green(`✓ Wrote ${TYPES_FILE} (${types.length} declarations)`));
+    }
+
+    const projectFile = options.types ? this.getTypesFile(options.types) : null;
+    if (projectFile && this.files.exists(projectFile) && !isTypesFile(this.files.read(projectFile))) {
+      throw new Error(`${options.types} already exists and wasn't generated by memberstack-ai-docs. Choose another --types path.`);
+    }
+    const previous = this.config.types && this.config.types !== options.types ? this.getTypesFile(this.config.types) : null;
+    if (previous && this.files.exists(previous) && isTypesFile(this.files.read(previous))) {
+      this.files.remove(previous);
+      this.report(chalk.green(`✓ Removed ${this.config.types} (types now go to ${options.types || `${this.getMemberstackDirName()}/${TYPES_FILE} only`})`));
+    }
+    if (projectFile && this.files.write(projectFile, content)) {
+      this.report(chalk.green(`✓ Wrote ${options.types} (Memberstack types for your project)`));
     }
   }
 
-  async updateCodexAgents(options) {
-    const agentsPath = path.join(this.projectRoot, 'AGENTS.md');
-    const templatePath = path.join(__dirname, '..', 'templates', 'codex-template.md');
+  getTypesFile(file) {
+    return path.resolve(this.projectRoot, file);
+  }
 
-    if (options.dryRun) {
-      if (fs.existsSync(agentsPath)) {
-        console.log(chalk.gray('  Would update existing AGENTS.md'));
+  readDocs() {
+    const docPath = path.join(this.memberstackDir, 'complete.md');
+    if (this.files && this.files.exists(docPath)) {
+      return this.files.read(docPath);
+    }
+    return fs.readFileSync(fs.existsSync(docPath) ? docPath : BUNDLED_DOC_PATH, 'utf-8');
+  }
+
+  async appendToFile(fileName, content, markers, options) {
+    const existingContent = this.files.read(fileName);
+    const starts = existingContent.split(markers.start).length - 1;
+    const ends = existingContent.split(markers.end).length - 1;
+    const startIndex = existingContent.indexOf(markers.start);
+    const endIndex = existingContent.indexOf(markers.end, startIndex);
+
+    if (starts === 0 && ends === 0) {
+      // Append new section
+      this.files.write(fileName, existingContent + '\n\n' + content);
+      this.report(chalk.green(`✓ Updated ${fileName} (added Memberstack section)`));
+    } else if (starts === 1 && ends === 1 && endIndex > startIndex) {
+      // Replace existing section
+      const replaced = this.files.write(fileName,
+        existingContent.substring(0, startIndex) +
+        content +
+        existingContent.substring(endIndex + markers.end.length)
+      );
+      this.report(replaced
+        ? chalk.green(`✓ Updated ${fileName} (replaced existing Memberstack section)`)
+        : chalk.gray(`  ${fileName} is unchanged`));
+    } else {
+      // Half-present, duplicated or out-of-order markers: replace everything from the
+      // first marker to the last end marker (or the end of the file), but only once
+      // the user has seen exactly what that does
+      const first = Math.min(...[startIndex, existingContent.indexOf(markers.end)].filter(index => index !== -1));
+      const lastEnd = existingContent.lastIndexOf(markers.end);
+      const last = lastEnd > first ? lastEnd + markers.end.length : existingContent.length;
+      const repaired = existingContent.substring(0, first).trimEnd() +
+        (first > 0 ? '\n\n' : '') + content + existingContent.substring(last);
+
+      const reason = `found ${starts} start and ${ends} end Memberstack markers`;
+      if (options.dryRun) {
+        // Nothing is written, so show the repair in the plan rather than asking now
+        this.files.note(fileName, `${reason}; a real run will ask before repairing them (or use --force)`);
       } else {
-        console.log(chalk.gray('  Would create new AGENTS.md'));
+        await this.confirmChange(fileName, existingContent, repaired, options, reason);
       }
+      this.files.write(fileName, repaired);
+      this.report(chalk.yellow(`✓ Updated ${fileName} (repaired damaged Memberstack markers)`));
+    }
+  }
+
+  // Shows the diff of a change we can't make safely on our own and asks before applying it
+  async confirmChange(fileName, before, after, options, reason) {
+    this.log(chalk.yellow(`\n⚠ ${fileName}: ${reason}. Proposed change:\n`));
+    this.log(formatDiff(fileName, before, after) + '\n');
+
+    if (options.force) {
       return;
     }
+    if (!options.confirm) {
+      throw new Error(`${fileName} needs review: fix its Memberstack markers by hand, or re-run with --force to apply the change above`);
+    }
+    if (!(await options.confirm(`Apply this change to ${fileName}? (y/N) `))) {
+      throw new Error(`Left ${fileName} unchanged; fix its Memberstack markers and run again`);
+    }
+  }
 
-    // Read template
-    let template;
-    if (fs.existsSync(templatePath)) {
-      template = fs.readFileSync(templatePath, 'utf-8');
-    } else {
-      // Fallback to embedded template
-      template = this.getCodexTemplate();
+  // MCP config files of the given targets at every location, with the server entry for each
+  getMcpConfigFiles(selectedTargets, options) {
+    const files = new Map();
+    this.getLocations(options).forEach(pkg => {
+      selectedTargets.filter(target => target.mcpConfig).forEach(target => {
+        files.set(pkg ? path.posix.join(pkg.dir, target.mcpConfig) : target.mcpConfig, this.getMcpServerConfig(pkg));
+      });
+    });
+    return files;
+  }
+
+  // Agents start the server from the package directory, so it's pointed back at the shared docs
+  getMcpServerConfig(pkg) {
+    if (!pkg) {
+      return MCP_SERVER_CONFIG;
     }
+    const root = path.relative(this.getLocationRoot(pkg), this.projectRoot).split(path.sep).join('/');
+    return { ...MCP_SERVER_CONFIG, args: ['-y', 'memberstack-ai-docs', '--root', root, 'mcp'] };
+  }
 
-    if (fs.existsSync(agentsPath)) {
-      // Update existing file
-      await this.appendToFile(agentsPath, template, CODEX_MARKER_START, CODEX_MARKER_END, 'AGENTS.md');
-    } else {
-      // Create new file
-      fs.writeFileSync(agentsPath, template);
-      console.log(chalk.green('✓ Created AGENTS.md'));
+  async registerMcpServer(selected, options) {
+    const selectedTargets = [...new Set(selected.map(({ target }) => target))];
+
+    for (const [configFile, serverConfig] of this.getMcpConfigFiles(selectedTargets, options)) {
+      let config = {};
+      if (this.files.exists(configFile)) {
+        try {
+          config = JSON.parse(this.files.read(configFile));
+        } catch (error) {
+          this.log(chalk.yellow(`⚠ Skipped MCP registration: ${configFile} is not valid JSON`));
+          continue;
+        }
+      }
+
+      config.mcpServers = { ...config.mcpServers, [MCP_SERVER_NAME]: serverConfig };
+      if (this.files.write(configFile, JSON.stringify(config, null, 2) + '\n')) {
+        this.report(chalk.green(`✓ Registered MCP server in ${configFile}`));
+      }
     }
   }
 
-  async appendToFile(filePath, content, markerStart, markerEnd, fileName) {
-    const existingContent = fs.readFileSync(filePath, 'utf-8');
-    
-    // Check if markers already exist
-    if (existingContent.includes(markerStart)) {
-      // Replace existing section
-      const startIndex = existingContent.indexOf(markerStart);
-      const endIndex = existingContent.indexOf(markerEnd) + markerEnd.length;
-      
-      if (endIndex > startIndex) {
-        const newContent = 
-          existingContent.substring(0, startIndex) +
-          content +
-          existingContent.substring(endIndex);
-        
-        fs.writeFileSync(filePath, newContent);
-        console.log(chalk.green(`✓ Updated ${fileName} (replaced existing Memberstack section)`));
+  async unregisterMcpServer(options) {
+    for (const configFile of this.getMcpConfigFiles(this.loadTargets(), options).keys()) {
+      if (!this.files.exists(configFile)) {
+        continue;
+      }
+
+      let config;
+      try {
+        config = JSON.parse(this.files.read(configFile));
+      } catch (error) {
+        continue;
+      }
+      if (!config.mcpServers || !config.mcpServers[MCP_SERVER_NAME]) {
+        continue;
+      }
+
+      delete config.mcpServers[MCP_SERVER_NAME];
+      if (Object.keys(config.mcpServers).length === 0 && Object.keys(config).length === 1) {
+        // We created this file, so don't leave an empty one (or an empty .cursor/) behind
+        this.files.remove(configFile);
+        this.removeEmptyDirectories(configFile);
       } else {
-        // Markers corrupted, append new section
-        fs.appendFileSync(filePath, '\n\n' + content);
-        console.log(chalk.yellow(`✓ Updated ${fileName} (appended new section, markers were corrupted)`));
+        this.files.write(configFile, JSON.stringify(config, null, 2) + '\n');
       }
-    } else {
-      // Append new section
-      fs.appendFileSync(filePath, '\n\n' + content);
-      console.log(chalk.green(`✓ Updated ${fileName} (added Memberstack section)`));
+      this.report(chalk.green(`✓ Removed MCP server from ${configFile}`));
     }
   }
 
   async remove(options) {
-    console.log(chalk.blue('🗑️  Removing Memberstack AI Documentation...'));
+    this.quiet = Boolean(options.json);
+    this.log(chalk.blue('🗑️  Removing Memberstack AI Documentation...'));
+    options = this.withConfig(options);
     
     if (options.dryRun) {
-      console.log(chalk.yellow('🔍 DRY RUN MODE - No files will be modified'));
+      this.log(chalk.yellow('🔍 DRY RUN MODE - No files will be modified'));
     }
 
-    // Remove .memberstack directory
-    if (fs.existsSync(this.memberstackDir)) {
-      if (!options.dryRun) {
-        fs.rmSync(this.memberstackDir, { recursive: true, force: true });
+    // .memberstack/ (and its backups) goes away, so this run is backed up to a temp
+    // directory just long enough to undo it if something fails
+    const tempBackupRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'memberstack-ai-docs-'));
+    this.beginTransaction('remove', options, tempBackupRoot);
+
+    try {
+      // Remove the section (or owned file) from every location of every target, and
+      // files the install created that hold nothing else
+      const { manifest } = this.readInstalled();
+      const created = new Set(((manifest && manifest.aiFiles) || [])
+        .filter(entry => entry && entry.created)
+        .map(entry => entry.file));
+      for (const pkg of this.getLocations(options)) {
+        for (const target of this.loadTargets()) {
+          for (const output of this.getOutputs(target, options, pkg)) {
+            await this.removeOutput(output, options);
+            if (created.has(output.file) && this.files.exists(output.file) && !this.files.read(output.file).trim()) {
+              this.files.remove(output.file);
+              this.removeEmptyDirectories(output.file);
+              this.report(chalk.green(`✓ Removed ${output.file} (created by the install, now empty)`));
+            }
+          }
+        }
       }
-      console.log(chalk.green('✓ Removed .memberstack/ directory'));
-    }
 
-    // Remove from CLAUDE.md
-    await this.removeFromFile('CLAUDE.md', CLAUDE_MARKER_START, CLAUDE_MARKER_END, options);
+      // Remove MCP server registrations
+      await this.unregisterMcpServer(options);
 
-    // Remove from .cursorrules
-    await this.removeFromFile('.cursorrules', CURSOR_MARKER_START, CURSOR_MARKER_END, options);
+      // The project's copy of types.d.ts, unless it has been replaced by another file
+      const typesFile = options.types && this.getTypesFile(options.types);
+      if (typesFile && fs.existsSync(typesFile) && isTypesFile(fs.readFileSync(typesFile, 'utf-8'))) {
+        this.files.remove(typesFile);
+        this.report(chalk.green(`✓ Removed ${options.types}`));
+      }
 
-    // Remove from AGENTS.md (Codex)
-    await this.removeFromFile('AGENTS.md', CODEX_MARKER_START, CODEX_MARKER_END, options);
+      // Remove .memberstack directory last, once everything that points at it is gone
+      if (fs.existsSync(this.memberstackDir)) {
+        this.files.removeDirectory(this.memberstackDir);
+        this.report(chalk.green(`✓ Removed ${this.getMemberstackDirName()}/ directory`));
+      }
 
-    console.log(chalk.green.bold('\n✅ Memberstack AI Documentation removed successfully!'));
-  }
+      if (options.dryRun) {
+        this.printPlan(options, { command: 'remove' });
+        return;
+      }
+    } catch (error) {
+      this.abortTransaction();
+      throw error;
+    } finally {
+      this.files = null;
+      fs.rmSync(tempBackupRoot, { recursive: true, force: true });
+    }
 
-  async removeFromFile(fileName, markerStart, markerEnd, options) {
-    const filePath = path.join(this.projectRoot, fileName);
-    
-    if (!fs.existsSync(filePath)) {
-      return;
+    // The config is shared with the team, so it stays unless deleted by hand
+    if (this.config.configFile) {
+      this.log(chalk.gray(`  Kept ${this.config.configFile} (delete it to forget the saved settings)`));
     }
 
-    if (options.dryRun) {
-      console.log(chalk.gray(`  Would remove Memberstack section from ${fileName}`));
+    this.log(chalk.green.bold('\n✅ Memberstack AI Documentation removed successfully!'));
+  }
+
+  async removeFromFile(fileName, markerStart, markerEnd, options) {
+    if (!this.files.exists(fileName)) {
       return;
     }
 
-    const content = fs.readFileSync(filePath, 'utf-8');
+    const content = this.files.read(fileName);
     
     if (content.includes(markerStart)) {
       const startIndex = content.indexOf(markerStart);
-      const endIndex = content.indexOf(markerEnd) + markerEnd.length;
+      const endIndex = content.indexOf(markerEnd, startIndex);
       
       if (endIndex > startIndex) {
         const newContent = 
           content.substring(0, startIndex).trimEnd() +
-          content.substring(endIndex);
+          content.substring(endIndex + markerEnd.length);
         
-        fs.writeFileSync(filePath, newContent);
-        console.log(chalk.green(`✓ Removed Memberstack section from ${fileName}`));
+        this.files.write(fileName, newContent);
+        this.report(chalk.green(`✓ Removed Memberstack section from ${fileName}`));
+      } else {
+        this.log(chalk.yellow(`⚠ Left ${fileName} unchanged: its Memberstack end marker is missing`));
       }
     }
   }
 
   async update(options) {
-    console.log(chalk.blue('🔄 Updating Memberstack AI Documentation...'));
+    this.quiet = Boolean(options.json);
+    this.log(chalk.blue('🔄 Updating Memberstack AI Documentation...'));
     
-    // Simply re-run install with force flag
-    await this.install({ ...options, force: true });
+    // Re-run install for the tools recorded in the config (or already set up)
+    await this.install({ ...options, aiTools: options.aiTools || this.detectAITools(options) });
   }
 
   async validate(options) {
-    console.log(chalk.blue('\n🔍 Validating Memberstack AI Documentation installation...'));
+    this.log(chalk.blue('\n🔍 Validating Memberstack AI Documentation installation...'));
     
-    // Get which AI tools to validate (check what exists if not specified)
-    let aiTools = options.aiTools;
-    if (!aiTools) {
-      aiTools = [];
-      if (fs.existsSync(path.join(this.projectRoot, 'CLAUDE.md'))) {
-        aiTools.push('claude');
-      }
-      if (fs.existsSync(path.join(this.projectRoot, '.cursorrules'))) {
-        aiTools.push('cursor');
-      }
-      if (fs.existsSync(path.join(this.projectRoot, 'AGENTS.md'))) {
-        aiTools.push('codex');
-      }
-      if (aiTools.length === 0) {
-        aiTools = ['claude', 'cursor', 'codex']; // Check all if none exists
-      }
-    }
+    // Get which AI tools to validate (the config or what exists if not specified)
+    options = this.withConfig(options);
+    const selected = this.getSelections(options.aiTools || this.detectAITools(options), options);
     
     let isValid = true;
+    let manifest = null;
     const checks = [];
 
     // Check .memberstack directory
     if (fs.existsSync(this.memberstackDir)) {
-      checks.push({ status: '✓', message: '.memberstack/ directory exists' });
+      checks.push({ status: '✓', message: `${this.getMemberstackDirName()}/ directory exists` });
+
+      // The manifest records checksums from the last install
+      try {
+        manifest = readManifest(this.memberstackDir);
+        if (!manifest) {
+          checks.push({ status: '⚠', message: `${MANIFEST_FILE} missing, so local edits can't be detected (run with --update to create it)` });
+        }
+      } catch (error) {
+        checks.push({ status: '✗', message: error.message });
+        isValid = false;
+      }
       
       // Check files
       const requiredFiles = ['complete.md', 'index.json', 'quickref.md'];
       for (const file of requiredFiles) {
         const filePath = path.join(this.memberstackDir, file);
         if (fs.existsSync(filePath)) {
-          const stats = fs.statSync(filePath);
-          checks.push({ 
-            status: '✓', 
-            message: `${file} (${(stats.size / 1024).toFixed(1)} KB)` 
-          });
+          const content = fs.readFileSync(filePath);
+          const size = `${(content.length / 1024).toFixed(1)} KB`;
+          const recorded = manifest && manifest.files[file];
+
+          if (!recorded) {
+            checks.push({ status: '✓', message: `${file} (${size})` });
+          } else if (hashContent(content) === recorded.sha256) {
+            checks.push({ status: '✓', message: `${file} (${size}, matches manifest)` });
+          } else if (content.length < recorded.size) {
+            checks.push({ status: '✗', message: `${file} is truncated (${size} of ${(recorded.size / 1024).toFixed(1)} KB)` });
+            isValid = false;
+          } else {
+            checks.push({ status: '✗', message: `${file} has local edits (checksum differs from ${MANIFEST_FILE})` });
+            isValid = false;
+          }
         } else {
           checks.push({ status: '✗', message: `${file} missing` });
           isValid = false;
         }
       }
-    } else {
-      checks.push({ status: '✗', message: '.memberstack/ directory missing' });
-      isValid = false;
-    }
 
-    // Check CLAUDE.md if Claude was selected
-    if (aiTools.includes('claude')) {
-      const claudePath = path.join(this.projectRoot, 'CLAUDE.md');
-      if (fs.existsSync(claudePath)) {
-        const content = fs.readFileSync(claudePath, 'utf-8');
-        if (content.includes(CLAUDE_MARKER_START)) {
-          checks.push({ status: '✓', message: 'CLAUDE.md contains Memberstack section' });
-        } else {
-          checks.push({ status: '⚠', message: 'CLAUDE.md exists but missing Memberstack section' });
-        }
-      } else {
-        checks.push({ status: '⚠', message: 'CLAUDE.md not found' });
+      if (manifest && options.docsVersion && manifest.docsVersion !== options.docsVersion) {
+        checks.push({ status: '✗', message: `Installed docs are '${manifest.docsVersion}' but '${options.docsVersion}' is configured` });
+        isValid = false;
       }
-    }
 
-    // Check AGENTS.md if Codex was selected
-    if (aiTools.includes('codex')) {
-      const agentsPath = path.join(this.projectRoot, 'AGENTS.md');
-      if (fs.existsSync(agentsPath)) {
-        const content = fs.readFileSync(agentsPath, 'utf-8');
-        if (content.includes(CODEX_MARKER_START)) {
-          checks.push({ status: '✓', message: 'AGENTS.md contains Memberstack section' });
+      // Check the index against the published schema
+      const indexPath = path.join(this.memberstackDir, 'index.json');
+      if (fs.existsSync(indexPath)) {
+        let index;
+        let result;
+        try {
+          index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+          result = validateIndex(index);
+        } catch (error) {
+          result = { valid: false, errors: [`not valid JSON (${error.message})`] };
+        }
+
+        if (result.valid) {
+          checks.push({ status: '✓', message: 'index.json matches the index schema' });
+
+          // Catches a cut-off complete.md even without a manifest
+          const docPath = path.join(this.memberstackDir, 'complete.md');
+          const lastLine = Math.max(0, ...index.methodDetails.map(method => (method.lines ? method.lines.end : 0)));
+          const docLines = fs.existsSync(docPath) ? fs.readFileSync(docPath, 'utf-8').split('\n').length : 0;
+          if (docLines > 0 && docLines < lastLine) {
+            checks.push({ status: '✗', message: `complete.md has ${docLines} lines but index.json points to line ${lastLine} (truncated?)` });
+            isValid = false;
+          }
+
+          const chunks = [...index.methodDetails, ...(index.topics || [])].filter(item => item.chunk).map(item => item.chunk);
+          const missingChunks = chunks.filter(chunk => !fs.existsSync(path.join(this.memberstackDir, chunk)));
+          if (missingChunks.length > 0) {
+            checks.push({ status: '✗', message: `${missingChunks.length} of ${chunks.length} doc chunks missing, e.g. ${missingChunks[0]} (run with --update to restore them)` });
+            isValid = false;
+          } else if (chunks.length > 0) {
+            checks.push({ status: '✓', message: `${chunks.length} doc chunks` });
+          }
+
+          if (index.methodDetails.some(method => method.types)) {
+            const typesFiles = [`${this.getMemberstackDirName()}/${TYPES_FILE}`, ...(options.types ? [options.types] : [])];
+            const missingTypes = typesFiles.filter(file => !fs.existsSync(path.join(this.projectRoot, file)));
+            if (missingTypes.length > 0) {
+              checks.push({ status: '✗', message: `${missingTypes.join(' and ')} missing (run with --update to restore it)` });
+              isValid = false;
+            } else {
+              checks.push({ status: '✓', message: `TypeScript declarations (${typesFiles.join(', ')})` });
+            }
+          }
         } else {
-          checks.push({ status: '⚠', message: 'AGENTS.md exists but missing Memberstack section' });
+          checks.push({ status: '✗', message: `index.json does not match the index schema: ${result.errors.slice(0, 3).join('; ')}` });
+          isValid = false;
         }
-      } else {
-        checks.push({ status: '⚠', message: 'AGENTS.md not found' });
       }
+    } else {
+      checks.push({ status: '✗', message: `${this.getMemberstackDirName()}/ directory missing` });
+      isValid = false;
     }
 
-    // Check .cursorrules if Cursor was selected
-    if (aiTools.includes('cursor')) {
-      const cursorPath = path.join(this.projectRoot, '.cursorrules');
-      if (fs.existsSync(cursorPath)) {
-        const content = fs.readFileSync(cursorPath, 'utf-8');
-        if (content.includes(CURSOR_MARKER_START)) {
-          checks.push({ status: '✓', message: '.cursorrules contains Memberstack section' });
+    // Check each selected tool's file for the Memberstack section
+    selected.forEach(({ target, output }) => {
+      const filePath = path.join(this.projectRoot, output.file);
+
+      if (fs.existsSync(filePath)) {
+        const content = fs.readFileSync(filePath, 'utf-8');
+        const problem = output.check && output.check(content);
+        if (problem) {
+          checks.push({ status: '⚠', message: `${output.file} ${problem}` });
+        } else if (content.includes(output.markers.start)) {
+          const recorded = manifest && (manifest.aiFiles || []).find(entry => entry && entry.file === output.file);
+          const section = extractSection(content, output.markers);
+          if (recorded && (!section || hashContent(section) !== recorded.sha256)) {
+            checks.push({ status: '✗', message: `${output.file} Memberstack section was edited since install (--update will overwrite it)` });
+            isValid = false;
+          } else {
+            checks.push({ status: '✓', message: `${output.file} contains Memberstack section` });
+          }
         } else {
-          checks.push({ status: '⚠', message: '.cursorrules exists but missing Memberstack section' });
+          checks.push({ status: '⚠', message: `${output.file} exists but missing Memberstack section` });
         }
       } else {
-        checks.push({ status: '⚠', message: '.cursorrules not found' });
+        checks.push({ status: '⚠', message: `${output.file} not found` });
       }
-    }
+
+      target.outputs
+        .map(other => this.inPackage(other, output.package))
+        .filter(other => other.file !== output.file && this.hasSection(other))
+        .forEach(other => {
+          checks.push({ status: '⚠', message: `${other.file} still has a Memberstack section (run with --update to migrate it to ${output.file})` });
+        });
+    });
+
+    // Report MCP server registrations (optional, so never a failure)
+    const selectedTargets = [...new Set(selected.map(({ target }) => target))];
+    Array.from(this.getMcpConfigFiles(selectedTargets, options).keys()).forEach(configFile => {
+      const configPath = path.join(this.projectRoot, configFile);
+      if (fs.existsSync(configPath) &&
+          fs.readFileSync(configPath, 'utf-8').includes(`"${MCP_SERVER_NAME}"`)) {
+        checks.push({ status: '✓', message: `MCP server registered in ${configFile}` });
+      }
+    });
 
     // Display results
-    console.log('');
+    this.log('');
     checks.forEach(check => {
       const color = check.status === '✓' ? 'green' : check.status === '✗' ? 'red' : 'yellow';
-      console.log(chalk[color](`  ${check.status} ${check.message}`));
+      this.log(chalk[color](`  ${check.status} ${check.message}`));
     });
 
     if (isValid) {
-      console.log(chalk.green.bold('\n✅ Installation is valid!'));
+      this.log(chalk.green.bold('\n✅ Installation is valid!'));
+    } else if (options.docsVersion) {
+      // --update downloads the same pinned release again, which won't fix problems in the release itself
+      this.log(chalk.red.bold(`\n❌ Installation has issues. Run with --update to fix. The docs are pinned to ${options.docsVersion}, ` +
+        'so if the problem is in that release, --update installs it again: pin another with --docs-version <tag>, ' +
+        `or remove docsVersion from ${this.config.configFile || RC_FILE} to use the bundled docs.`));
     } else {
-      console.log(chalk.red.bold('\n❌ Installation has issues. Run with --update to fix.'));
+      this.log(chalk.red.bold('\n❌ Installation has issues. Run with --update to fix.'));
     }
 
     return isValid;
   }
 
-  getClaudeTemplate() {
-    return `${CLAUDE_MARKER_START}
-# Memberstack DOM Package - AI Documentation
-
-## Quick Start
-\`\`\`javascript
-import memberstack from '@memberstack/dom';
-const ms = memberstack.init({ publicKey: 'pk_...' });
-\`\`\`
-
-## Most Common Methods
-
-For complete implementation examples, see \`.memberstack/quickref.md\`
-
-### Authentication
-- \`loginMemberEmailPassword({ email, password })\` - Email/password login
-- \`signupMemberEmailPassword({ email, password, customFields?, metaData?, plans? })\` - Create account
-- \`logout()\` - Sign out current member
-- \`getCurrentMember()\` - Get logged-in member data
-- \`onAuthChange(callback)\` - Listen for auth state changes
-- \`sendMemberResetPasswordEmail({ email })\` - Send password reset
-- \`loginWithProvider({ provider })\` - Social login (google/facebook)
-- \`sendMemberLoginPasswordlessEmail({ email })\` - Passwordless login
-
-### Member Management
-- \`updateMember({ customFields?, metaData? })\` - Update member data
-- \`updateMemberAuth({ email?, oldPassword?, newPassword? })\` - Update credentials
-- \`getMemberJSON()\` - Get member data as JSON
-- \`updateMemberJSON(json)\` - Update member JSON data
-- \`updateMemberProfileImage({ image })\` - Update profile picture
-- \`deleteMember()\` - Delete member account
-- \`sendMemberVerificationEmail()\` - Send email verification
-
-### Plans & Billing
-- \`getPlans()\` - Get all available plans
-- \`getPlan({ planId })\` - Get specific plan details
-- \`purchasePlansWithCheckout({ priceIds, successUrl?, cancelUrl? })\` - Stripe checkout
-- \`launchStripeCustomerPortal({ returnUrl? })\` - Open billing portal
-- \`addPlan({ planId })\` - Add free plan to member
-- \`removePlan({ planId })\` - Remove plan from member
-
-### UI Components
-- \`openModal({ type: 'LOGIN' | 'SIGNUP' | 'PROFILE' })\` - Open pre-built modal
-- \`hideModal()\` - Close current modal
-
-## Finding All Methods (49 total)
-
-1. **Search index**: \`.memberstack/index.json\` - Searchable method index
-2. **Quick reference**: \`.memberstack/quickref.md\` - 30 common methods with examples
-3. **Full reference**: \`.memberstack/complete.md\` - Complete documentation
-
-### Search Examples
-\`\`\`bash
-# Find login methods
-grep "login" .memberstack/index.json
-
-# Find method signature
-grep -A 5 "loginMemberEmailPassword" .memberstack/complete.md
-
-# Find all authentication methods
-grep '"category": "authentication"' .memberstack/index.json
-\`\`\`
-
-## AI Instructions
-
-When implementing Memberstack features:
-1. ALWAYS check \`.memberstack/index.json\` for available methods
-2. Use exact method signatures from documentation
-3. Include error handling in all examples using try/catch blocks
-4. Reference \`.memberstack/complete.md\` for detailed parameters and return types
-5. Check error codes and types in the documentation
-
-## Error Handling Pattern
-
-\`\`\`javascript
-try {
-  const { data: member } = await memberstack.getCurrentMember();
-  // Handle success
-} catch (error) {
-  if (error.code === 'INVALID_CREDENTIALS') {
-    // Handle invalid login
-  } else if (error.code === 'NETWORK_ERROR') {
-    // Handle network issues
-  } else {
-    // Handle other errors
-    console.error('Memberstack error:', error.message);
+  async mcp() {
+    this.getConfig();
+    const server = new MemberstackMcpServer({ memberstackDir: this.memberstackDir });
+    await server.start();
   }
-}
-\`\`\`
-
-## Common Patterns
-
-### Check if logged in
-\`\`\`javascript
-const { data: member } = await memberstack.getCurrentMember();
-if (member) {
-  // User is logged in
-  console.log('Welcome', member.auth.email);
-} else {
-  // User is not logged in
-  await memberstack.openModal({ type: 'LOGIN' });
-}
-\`\`\`
-
-### React/Vue auth listener
-\`\`\`javascript
-useEffect(() => {
-  const unsubscribe = memberstack.onAuthChange((member) => {
-    setCurrentMember(member);
-  });
-  return unsubscribe;
-}, []);
-\`\`\`
-
-## Documentation Version: 2.0.0
-Last Updated: 2025-01-11
-Total Methods: 49
-${CLAUDE_MARKER_END}`;
-  }
-
-  getCodexTemplate() {
-    return `${CODEX_MARKER_START}
-
-# Memberstack DOM Package - AI Documentation (Codex)
-
-This AGENTS.md section equips Codex with Memberstack's API context. The docs live in the `.memberstack/` directory for fast lookup.
-
-## Quick Start
-\`\`\`javascript
-import memberstack from '@memberstack/dom';
-const ms = memberstack.init({ publicKey: 'pk_...' });
-\`\`\`
-
-## Most Common Methods
-
-For complete implementation examples, see \`.memberstack/quickref.md\`
-
-### Authentication
-- \`loginMemberEmailPassword({ email, password })\` - Email/password login
-- \`signupMemberEmailPassword({ email, password, customFields?, metaData?, plans? })\` - Create account
-- \`logout()\` - Sign out current member
-- \`getCurrentMember()\` - Get logged-in member data
-- \`onAuthChange(callback)\` - Listen for auth state changes
-- \`sendMemberResetPasswordEmail({ email })\` - Send password reset
-- \`loginWithProvider({ provider })\` - Social login (google/facebook)
-- \`sendMemberLoginPasswordlessEmail({ email })\` - Passwordless login
-
-### Member Management
-- \`updateMember({ customFields?, metaData? })\` - Update member data
-- \`updateMemberAuth({ email?, oldPassword?, newPassword? })\` - Update credentials
-- \`getMemberJSON()\` - Get member data as JSON
-- \`updateMemberJSON(json)\` - Update member JSON data
-- \`updateMemberProfileImage({ image })\` - Update profile picture
-- \`deleteMember()\` - Delete member account
-- \`sendMemberVerificationEmail()\` - Send email verification
-
-### Plans & Billing
-- \`getPlans()\` - Get all available plans
-- \`getPlan({ planId })\` - Get specific plan details
-- \`purchasePlansWithCheckout({ priceIds, successUrl?, cancelUrl? })\` - Stripe checkout
-- \`launchStripeCustomerPortal({ returnUrl? })\` - Open billing portal
-- \`addPlan({ planId })\` - Add free plan to member
-- \`removePlan({ planId })\` - Remove plan from member
-
-### UI Components
-- \`openModal({ type: 'LOGIN' | 'SIGNUP' | 'PROFILE' })\` - Open pre-built modal
-- \`hideModal()\` - Close current modal
-
-## Finding All Methods (49 total)
-
-1. **Search index**: \`.memberstack/index.json\` - Searchable method index
-2. **Quick reference**: \`.memberstack/quickref.md\` - 30 common methods with examples
-3. **Full reference**: \`.memberstack/complete.md\` - Complete documentation
-
-### Search Examples
-\`\`\`bash
-# Find login methods
-grep "login" .memberstack/index.json
-
-# Find method signature
-grep -A 5 "loginMemberEmailPassword" .memberstack/complete.md
-
-# Find all authentication methods
-grep '"category": "authentication"' .memberstack/index.json
-\`\`\`
-
-## AI Instructions
-
-When implementing Memberstack features:
-1. ALWAYS check \`.memberstack/index.json\` for available methods
-2. Use exact method signatures from documentation
-3. Include error handling in all examples using try/catch blocks
-4. Reference \`.memberstack/complete.md\` for detailed parameters and return types
-5. Check error codes and types in the documentation
-
-## Error Handling Pattern
-
-\`\`\`javascript
-try {
-  const { data: member } = await memberstack.getCurrentMember();
-  // Handle success
-} catch (error) {
-  if (error.code === 'INVALID_CREDENTIALS') {
-    // Handle invalid login
-  } else if (error.code === 'NETWORK_ERROR') {
-    // Handle network issues
-  } else {
-    // Handle other errors
-    console.error('Memberstack error:', error.message);
+
+  // Lints the project's JS/TS against the installed index (or the bundled one)
+  async check(paths = [], options = {}) {
+    this.getConfig();
+    const format = options.format || 'text';
+    if (!['text', 'json', 'sarif'].includes(format)) {
+      throw new Error(`Unknown format '${format}'. Available: text, json, sarif`);
+    }
+
+    const indexPath = path.join(this.memberstackDir, 'index.json');
+    const installed = fs.existsSync(indexPath);
+    let index;
+    try {
+      index = JSON.parse(fs.readFileSync(installed ? indexPath : BUNDLED_INDEX_PATH, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Could not parse index.json: ${error.message}. Run with --update to fix.`);
+    }
+    const files = MemberstackChecker.findSourceFiles(this.projectRoot, paths);
+    const diagnostics = new MemberstackChecker(index, { types: extractTypes(this.readDocs()) }).checkFiles(this.projectRoot, files);
+
+    if (format === 'json') {
+      this.log(JSON.stringify({ files: files.length, diagnostics }, null, 2));
+      return diagnostics;
+    }
+    if (format === 'sarif') {
+      this.log(JSON.stringify(MemberstackChecker.toSarif(diagnostics), null, 2));
+      return diagnostics;
+    }
+
+    if (!installed) {
+      this.log(chalk.gray(`Checking against the bundled docs (nothing installed in ${this.getMemberstackDirName()}/)`));
+    }
+    diagnostics.forEach(diagnostic => {
+      const level = diagnostic.level === 'error' ? chalk.red('error') : chalk.yellow('warning');
+      this.log(`${diagnostic.file}:${diagnostic.line}:${diagnostic.column}: ${level}: ${diagnostic.message} ` +
+        chalk.gray(`[memberstack/${diagnostic.rule}]`));
+    });
+
+    const errors = diagnostics.filter(diagnostic => diagnostic.level === 'error').length;
+    const warnings = diagnostics.length - errors;
+    const scanned = `${files.length} file${files.length === 1 ? '' : 's'}`;
+    if (diagnostics.length === 0) {
+      this.log(chalk.green(`✓ No problems with Memberstack calls in ${scanned}`));
+    } else {
+      this.log((errors > 0 ? chalk.red : chalk.yellow)(`\n✗ ${errors} error${errors === 1 ? '' : 's'}, ` +
+        `${warnings} warning${warnings === 1 ? '' : 's'} in ${scanned}`));
+    }
+    return diagnostics;
   }
-}
-\`\`\`
-
-## Common Patterns
-
-### Check if logged in
-\`\`\`javascript
-const { data: member } = await memberstack.getCurrentMember();
-if (member) {
-  // User is logged in
-  console.log('Welcome', member.auth.email);
-} else {
-  // User is not logged in
-  await memberstack.openModal({ type: 'LOGIN' });
-}
-\`\`\`
-
-### React/Vue auth listener
-\`\`\`javascript
-useEffect(() => {
-  const unsubscribe = memberstack.onAuthChange((member) => {
-    setCurrentMember(member);
-  });
-  return unsubscribe;
-}, []);
-\`\`\`
-
-## Documentation Version: 2.0.0
-Last Updated: 2025-01-11
-Total Methods: 49
-${CODEX_MARKER_END}`;
-  }
-
-
-  getCursorTemplate() {
-    return `${CURSOR_MARKER_START}
-
-# Memberstack DOM Package - AI Documentation
-
-## Quick Start
-\`\`\`javascript
-import memberstack from '@memberstack/dom';
-const ms = memberstack.init({ publicKey: 'pk_...' });
-\`\`\`
-
-## Most Common Methods
-
-For complete implementation examples, see \`.memberstack/quickref.md\`
-
-### Authentication
-- \`loginMemberEmailPassword({ email, password })\` - Email/password login
-- \`signupMemberEmailPassword({ email, password, customFields?, metaData?, plans? })\` - Create account
-- \`logout()\` - Sign out current member
-- \`getCurrentMember()\` - Get logged-in member data
-- \`onAuthChange(callback)\` - Listen for auth state changes
-- \`sendMemberResetPasswordEmail({ email })\` - Send password reset
-- \`loginWithProvider({ provider })\` - Social login (google/facebook)
-- \`sendMemberLoginPasswordlessEmail({ email })\` - Passwordless login
-
-### Member Management
-- \`updateMember({ customFields?, metaData? })\` - Update member data
-- \`updateMemberAuth({ email?, oldPassword?, newPassword? })\` - Update credentials
-- \`getMemberJSON()\` - Get member data as JSON
-- \`updateMemberJSON(json)\` - Update member JSON data
-- \`updateMemberProfileImage({ image })\` - Update profile picture
-- \`deleteMember()\` - Delete member account
-- \`sendMemberVerificationEmail()\` - Send email verification
-
-### Plans & Billing
-- \`getPlans()\` - Get all available plans
-- \`getPlan({ planId })\` - Get specific plan details
-- \`purchasePlansWithCheckout({ priceIds, successUrl?, cancelUrl? })\` - Stripe checkout
-- \`launchStripeCustomerPortal({ returnUrl? })\` - Open billing portal
-- \`addPlan({ planId })\` - Add free plan to member
-- \`removePlan({ planId })\` - Remove plan from member
-
-### UI Components
-- \`openModal({ type: 'LOGIN' | 'SIGNUP' | 'PROFILE' })\` - Open pre-built modal
-- \`hideModal()\` - Close current modal
-
-## Finding All Methods (49 total)
-
-1. **Search index**: \`.memberstack/index.json\` - Searchable method index
-2. **Quick reference**: \`.memberstack/quickref.md\` - 30 common methods with examples
-3. **Full reference**: \`.memberstack/complete.md\` - Complete documentation
-
-## AI Instructions
-
-When implementing Memberstack features:
-1. ALWAYS check \`.memberstack/index.json\` for available methods
-2. Use exact method signatures from documentation
-3. Include error handling in all examples using try/catch blocks
-4. Reference \`.memberstack/complete.md\` for detailed parameters and return types
-
-## Documentation Version: 2.0.0
-Last Updated: 2025-01-11
-Total Methods: 49
-
-${CURSOR_MARKER_END}`;
+
+  async error(code, options = {}) {
+    this.getConfig();
+    const error = MemberstackSearch.fromDirectory(this.memberstackDir).findError(code);
+
+    if (options.json) {
+      this.log(JSON.stringify(error, null, 2));
+      return error;
+    }
+
+    this.log(chalk.white.bold(`${error.code}`) + chalk.gray(`  ${error.id} · ${error.category}`));
+    this.log(chalk.white(`  ${error.title}${error.description ? ` - ${error.description}` : ''}`));
+    if (error.methods.length > 0) {
+      this.log(chalk.cyan(`  Raised by: ${error.methods.join(', ')}`));
+    }
+    if (error.handling) {
+      this.log(chalk.gray('\n  Handling:'));
+      error.handling.split('\n').forEach(line => this.log(`    ${line}`));
+    }
+    this.log(chalk.gray(`\n  ${error.location}`));
+
+    return error;
+  }
+
+  async search(query, options = {}) {
+    this.getConfig();
+    const limit = options.limit === undefined ? 10 : Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`--limit must be a positive whole number, not '${options.limit}'`);
+    }
+    const searcher = MemberstackSearch.fromDirectory(this.memberstackDir);
+    const results = searcher.search(query, { limit });
+
+    if (options.json) {
+      this.log(JSON.stringify({ query, results }, null, 2));
+      return results;
+    }
+
+    if (results.length === 0) {
+      this.log(chalk.yellow(`No Memberstack methods found for "${query}"`));
+      return results;
+    }
+
+    this.log(chalk.blue(`🔎 ${results.length} result${results.length === 1 ? '' : 's'} for "${query}"\n`));
+    results.forEach(result => {
+      this.log(chalk.white.bold(`  ${result.name}`) + chalk.gray(`  [${result.category}]`));
+      this.log(chalk.cyan(`    ${result.signature || `${result.name}()`}`));
+      if (result.returns) {
+        this.log(chalk.gray(`    → ${result.returns}`));
+      }
+      if (result.description) {
+        this.log(chalk.white(`    ${result.description}`));
+      }
+      this.log(chalk.gray(`    ${result.location}\n`));
+    });
+
+    return results;
   }
 }
 
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Record of what an install wrote, so validate() can spot drift afterwards:
+//
+//   {
+//     manifestVersion: 1,
+//     docsVersion: 'v1.3.0',            // release tag, or 'bundled-<hash>' for the bundled docs
+//     source: 'remote' | 'bundled' | 'mixed',
+//     installedAt: ISO date,
+//     files: { 'complete.md': { sha256, size, source } },
+//     aiFiles: [{ target: 'claude', file: 'CLAUDE.md', sha256,  // hash of the Memberstack section
+//                 created: true }]                               // only when the install made the file
+//   }
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// The Memberstack section of an agent file, markers included
+function extractSection(content, markers) {
+  const start = content.indexOf(markers.start);
+  const end = content.indexOf(markers.end, start);
+  if (start === -1 || end === -1) {
+    return null;
+  }
+  return content.substring(start, end + markers.end.length);
+}
+
+function readManifest(memberstackDir) {
+  const manifestPath = path.join(memberstackDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`${MANIFEST_FILE} is not valid JSON (${error.message})`);
+  }
+}
+
+// files: [{ name, source, content }] as written by this run
+function createManifest({ docsVersion, files, aiFiles }) {
+  const sources = [...new Set(files.map(file => file.source))];
+  const manifest = {
+    manifestVersion: MANIFEST_VERSION,
+    docsVersion,
+    source: sources.length === 1 ? sources[0] : 'mixed',
+    installedAt: new Date().toISOString(),
+    files: {},
+    aiFiles
+  };
+
+  files.forEach(file => {
+    const content = Buffer.from(file.content);
+    manifest.files[file.name] = { sha256: hashContent(content), size: content.length, source: file.source };
+  });
+
+  return manifest;
+}
+
+// Whether a manifest file's content records the same install, ignoring installedAt
+function sameManifest(content, manifest) {
+  try {
+    return JSON.stringify({ ...JSON.parse(content), installedAt: null }) ===
+      JSON.stringify({ ...manifest, installedAt: null });
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = { MANIFEST_FILE, hashContent, extractSection, readManifest, createManifest, sameManifest };
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const MemberstackSearch = require('./search');
+const MemberstackDocs = require('./docs');
+const packageJson = require('../package.json');
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const BUNDLED_DOCS_DIR = path.join(__dirname, '..', 'docs');
+
+// JSON-RPC error codes used by MCP
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+const TOOLS = [
+  {
+    name: 'search_methods',
+    description: 'Search Memberstack DOM methods by keyword, name, description or signature. Returns ranked matches with signatures and return types.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What you are looking for, e.g. "reset password" or "checkout"' },
+        limit: { type: 'integer', minimum: 1, description: 'Maximum number of results (default 10)' }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'get_method',
+    description: 'Get the full documentation for a single Memberstack method: signature, parameters, return type and examples.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Exact method name, e.g. "updateMember"' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'list_category',
+    description: 'List the Memberstack methods in a category (e.g. authentication, members, billing). Omit the category to list all categories.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        category: { type: 'string', description: 'Category name' }
+      }
+    }
+  },
+  {
+    name: 'get_error_code',
+    description: 'Look up a documented Memberstack error code (e.g. INVALID_CREDENTIALS or AUTH_001) and how to handle it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', description: 'Error code or error id' }
+      },
+      required: ['code']
+    }
+  }
+];
+
+class MemberstackMcpServer {
+  constructor(options = {}) {
+    const memberstackDir = options.memberstackDir || path.join(process.cwd(), '.memberstack');
+    const installed = fs.existsSync(path.join(memberstackDir, 'index.json'));
+
+    // Fall back to the docs bundled with the package when nothing is installed
+    this.indexPath = installed ? path.join(memberstackDir, 'index.json') : path.join(BUNDLED_DOCS_DIR, 'memberstack-index.json');
+    this.docPath = installed ? path.join(memberstackDir, 'complete.md') : path.join(BUNDLED_DOCS_DIR, 'memberstack-complete.md');
+    this.chunkDir = installed ? memberstackDir : null;
+
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+  }
+
+  load() {
+    const index = JSON.parse(fs.readFileSync(this.indexPath, 'utf-8'));
+    const docContent = fs.existsSync(this.docPath) ? fs.readFileSync(this.docPath, 'utf-8') : '';
+    this.index = index;
+    this.docs = new MemberstackDocs(docContent);
+    this.searcher = new MemberstackSearch(index, docContent, { chunkDir: this.chunkDir });
+  }
+
+  start() {
+    this.load();
+
+    const rl = readline.createInterface({ input: this.input, crlfDelay: Infinity });
+    rl.on('line', line => {
+      if (!line.trim()) {
+        return;
+      }
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        this.send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+        return;
+      }
+      this.handleMessage(message);
+    });
+
+    return new Promise(resolve => rl.on('close', resolve));
+  }
+
+  send(message) {
+    this.output.write(JSON.stringify(message) + '\n');
+  }
+
+  handleMessage(message) {
+    // Valid JSON that isn't a request object (null, a number, a batch array) can't be
+    // answered by id; the client gets an error instead of the server going down
+    const isObject = message !== null && typeof message === 'object' && !Array.isArray(message);
+    if (!isObject || typeof message.method !== 'string') {
+      const id = isObject && message.id !== undefined ? message.id : null;
+      this.send({ jsonrpc: '2.0', id, error: { code: INVALID_REQUEST, message: 'Invalid Request' } });
+      return;
+    }
+
+    // Notifications (no id) never get a response
+    if (message.id === undefined || message.id === null) {
+      return;
+    }
+
+    try {
+      const result = this.dispatch(message.method, message.params || {});
+      this.send({ jsonrpc: '2.0', id: message.id, result });
+    } catch (error) {
+      this.send({
+        jsonrpc: '2.0',
+        id: message.id,
+        error: { code: error.code || -32603, message: error.message }
+      });
+    }
+  }
+
+  dispatch(method, params) {
+    switch (method) {
+      case 'initialize':
+        return {
+          protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+            ? params.protocolVersion
+            : SUPPORTED_PROTOCOL_VERSIONS[0],
+          capabilities: { tools: {} },
+          serverInfo: { name: 'memberstack-ai-docs', version: packageJson.version }
+        };
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: TOOLS };
+      case 'tools/call':
+        return this.callTool(params.name, params.arguments || {});
+      default:
+        throw Object.assign(new Error(`Method not found: ${method}`), { code: METHOD_NOT_FOUND });
+    }
+  }
+
+  callTool(name, args) {
+    const handlers = {
+      search_methods: () => this.searchMethods(args),
+      get_method: () => this.getMethod(args),
+      list_category: () => this.listCategory(args),
+      get_error_code: () => this.getErrorCode(args)
+    };
+
+    if (!handlers[name]) {
+      throw Object.assign(new Error(`Unknown tool: ${name}`), { code: INVALID_PARAMS });
+    }
+
+    try {
+      return { content: [{ type: 'text', text: handlers[name]() }] };
+    } catch (error) {
+      // Arguments the input schema rules out are a protocol error, not a tool result
+      if (error.code === INVALID_PARAMS) {
+        throw error;
+      }
+      return { content: [{ type: 'text', text: error.message }], isError: true };
+    }
+  }
+
+  findMethod(name) {
+    const methods = this.index.methodDetails || [];
+    const normalized = String(name || '').replace(/\(\)$/, '').replace(/^(memberstack|ms)\./, '');
+    return methods.find(method => method.name === normalized) ||
+      methods.find(method => method.name.toLowerCase() === normalized.toLowerCase()) ||
+      null;
+  }
+
+  searchMethods({ query, limit }) {
+    if (!query) {
+      throw new Error('query is required');
+    }
+    if (limit !== undefined && limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+      throw Object.assign(new Error(`limit must be a positive integer, not ${JSON.stringify(limit)}`), { code: INVALID_PARAMS });
+    }
+    const results = this.searcher.search(query, { limit: limit || 10 });
+    return JSON.stringify(results, null, 2);
+  }
+
+  getMethod({ name }) {
+    const method = this.findMethod(name);
+    if (!method) {
+      const suggestions = this.searcher.search(String(name || ''), { limit: 5 }).map(result => result.name);
+      throw new Error(`No Memberstack method named "${name}".` +
+        (suggestions.length ? ` Did you mean: ${suggestions.join(', ')}?` : ''));
+    }
+
+    const section = this.docs.getMethodSection(method.name);
+    const summary = [
+      `# ${method.name}`,
+      `Category: ${method.category}`,
+      `Signature: ${method.signature || `${method.name}()`}`,
+      method.returns ? `Returns: ${method.returns}` : null,
+      method.description ? `Description: ${method.description}` : null,
+      method.parameters && method.parameters.length ? `Parameters:\n${method.parameters.map(param =>
+        `  - ${param.name}${param.required ? '' : '?'}: ${param.type}${param.description ? ` - ${param.description}` : ''}`
+      ).join('\n')}` : null
+    ].filter(Boolean).join('\n');
+
+    return section ? `${summary}\n\n---\n\n${section.content}` : summary;
+  }
+
+  listCategory({ category }) {
+    const categories = this.index.categories || {};
+
+    if (!category || !categories[category]) {
+      const listing = Object.entries(categories).map(([key, value]) =>
+        `- ${key} (${value.methods.length} methods)${value.description ? `: ${value.description}` : ''}`
+      );
+      const prefix = category ? `Unknown category "${category}". Available categories:` : 'Available categories:';
+      return `${prefix}\n${listing.join('\n')}`;
+    }
+
+    const lines = categories[category].methods.map(name => {
+      const method = this.findMethod(name);
+      if (!method) {
+        return `- ${name}`;
+      }
+      return `- ${method.signature || `${name}()`}${method.returns ? ` → ${method.returns}` : ''}` +
+        (method.description ? `\n  ${method.description}` : '');
+    });
+
+    const description = categories[category].description;
+    return [`# ${category}`, description, '', ...lines].filter(line => line !== undefined).join('\n');
+  }
+
+  getErrorCode({ code }) {
+    // Indexes before 2.4 have no error catalog; the error handling chapter still does
+    if (this.index.errors) {
+      const error = this.searcher.findError(code);
+      const section = this.docs.lines.slice(error.lines.start - 1, error.lines.end).join('\n');
+      return [section, error.methods.length > 0 ? `Raised by: ${error.methods.join(', ')}` : null]
+        .filter(Boolean).join('\n\n');
+    }
+
+    const wanted = String(code || '').trim().toUpperCase();
+    const errors = this.docs.getErrorCodes();
+    const match = errors.find(error => error.code === wanted || error.id === wanted);
+
+    if (!match) {
+      throw new Error(`"${code}" is not a documented Memberstack error code. Known codes: ${errors.map(error => error.code).join(', ')}`);
+    }
+
+    return match.content;
+  }
+}
+
+module.exports = MemberstackMcpServer;
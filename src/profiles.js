@@ -0,0 +1,79 @@
+// Install profiles: the index categories each one keeps (null keeps them all)
+const PROFILES = {
+  minimal: ['initialization', 'authentication', 'members'],
+  standard: ['initialization', 'authentication', 'members', 'billing', 'ui', 'internal'],
+  full: null
+};
+
+// "teams, content" on the command line, ["teams", "content"] in the config
+function parseList(value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+// Categories to install: the profile's (or, with --include alone, none), plus --include,
+// minus --exclude. null means every category, i.e. nothing to filter.
+function resolveCategories(index, { profile, include, exclude } = {}) {
+  const available = Object.keys(index.categories);
+  const unknown = [...(include || []), ...(exclude || [])].filter(name => !available.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown category '${unknown.join("', '")}'. Available: ${available.join(', ')}`);
+  }
+
+  // A profile naming a category the docs no longer have would silently install less
+  const missing = (profile && PROFILES[profile] || []).filter(name => !available.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`Profile '${profile}' names unknown category '${missing.join("', '")}'. Available: ${available.join(', ')}`);
+  }
+
+  if (!profile && !include && !exclude) {
+    return null;
+  }
+  const base = profile
+    ? PROFILES[profile] || available
+    : include ? [] : available;
+  const selected = [...new Set([...base, ...(include || [])])]
+    .filter(name => available.includes(name) && !(exclude || []).includes(name));
+  return selected.length === available.length ? null : selected;
+}
+
+// The index restricted to some categories. What was left out is listed under
+// "excluded", so agents (and the chunker) know those methods exist but aren't installed.
+function filterIndex(index, categories) {
+  if (!categories) {
+    return index;
+  }
+
+  const keep = method => categories.includes(method.category);
+  const kept = new Set(index.methodDetails.filter(keep).map(method => method.name));
+  const filterNames = groups => Object.fromEntries(Object.entries(groups)
+    .map(([key, names]) => [key, names.filter(name => kept.has(name))])
+    .filter(([, names]) => names.length > 0));
+
+  // Topic chunks lose the left-out methods' sections, so their list and token
+  // counts are rebuilt from the docs (chunker's annotateIndex)
+  const { topics, ...rest } = index;
+  return {
+    ...rest,
+    totalMethods: kept.size,
+    categories: Object.fromEntries(Object.entries(index.categories).filter(([name]) => categories.includes(name))),
+    ...(index.quickReference ? { quickReference: filterNames(index.quickReference) } : {}),
+    methodDetails: index.methodDetails.filter(keep),
+    searchKeywords: filterNames(index.searchKeywords || {}),
+    // Every error code stays documented; only the methods raising it are narrowed down
+    ...(index.errors ? {
+      errors: Object.fromEntries(Object.entries(index.errors)
+        .map(([code, error]) => [code, { ...error, methods: error.methods.filter(name => kept.has(name)) }]))
+    } : {}),
+    excluded: {
+      categories: Object.keys(index.categories).filter(name => !categories.includes(name)),
+      methods: index.methodDetails.filter(method => !keep(method)).map(method => method.name)
+    }
+  };
+}
+
+module.exports = { PROFILES, parseList, resolveCategories, filterIndex };
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const MemberstackDocs = require('./docs');
+
+// Relative weights for where a query term was found
+const SCORES = {
+  exactName: 100,
+  namePrefix: 40,
+  nameContains: 25,
+  keyword: 20,
+  description: 10,
+  signature: 5,
+  category: 5
+};
+
+class MemberstackSearch {
+  constructor(index, docContent = '', options = {}) {
+    this.index = index;
+    this.docPath = options.docPath || '.memberstack/complete.md';
+    // Where methods/<name>.md chunks are installed, if anywhere
+    this.chunkDir = options.chunkDir || null;
+    this.methods = index.methodDetails || [];
+    this.docs = new MemberstackDocs(docContent);
+    this.keywordMap = this.buildKeywordMap(index.searchKeywords || {});
+  }
+
+  static fromDirectory(memberstackDir) {
+    const indexPath = path.join(memberstackDir, 'index.json');
+    const docPath = path.join(memberstackDir, 'complete.md');
+
+    if (!fs.existsSync(indexPath)) {
+      throw new Error(`${path.relative(process.cwd(), indexPath)} not found. Run npx memberstack-ai-docs to install it.`);
+    }
+
+    let index;
+    try {
+      index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Could not parse index.json: ${error.message}. Run with --update to fix.`);
+    }
+
+    const docContent = fs.existsSync(docPath) ? fs.readFileSync(docPath, 'utf-8') : '';
+    return new MemberstackSearch(index, docContent, {
+      docPath: path.relative(process.cwd(), docPath).split(path.sep).join('/'),
+      chunkDir: memberstackDir
+    });
+  }
+
+  // Invert searchKeywords ({ keyword: [methods] }) into { method: [keywords] }
+  buildKeywordMap(searchKeywords) {
+    const map = {};
+    Object.entries(searchKeywords).forEach(([keyword, names]) => {
+      names.forEach(name => {
+        if (!map[name]) {
+          map[name] = [];
+        }
+        map[name].push(keyword.toLowerCase());
+      });
+    });
+    return map;
+  }
+
+  tokenize(query) {
+    return query
+      .toLowerCase()
+      .split(/[^a-z0-9_]+/)
+      .filter(Boolean);
+  }
+
+  scoreMethod(method, query, terms) {
+    const name = method.name.toLowerCase();
+    const description = (method.description || '').toLowerCase();
+    const signature = (method.signature || '').toLowerCase();
+    const category = (method.category || '').toLowerCase();
+    const keywords = this.keywordMap[method.name] || [];
+    let score = 0;
+
+    if (name === query.toLowerCase().replace(/\(\)$/, '')) {
+      score += SCORES.exactName;
+    }
+
+    for (const term of terms) {
+      if (name.startsWith(term)) {
+        score += SCORES.namePrefix;
+      } else if (name.includes(term)) {
+        score += SCORES.nameContains;
+      }
+      if (keywords.some(keyword => keyword === term || keyword.split(/\s+/).includes(term))) {
+        score += SCORES.keyword;
+      }
+      if (description.includes(term)) {
+        score += SCORES.description;
+      }
+      if (signature.includes(term)) {
+        score += SCORES.signature;
+      }
+      if (category.includes(term)) {
+        score += SCORES.category;
+      }
+    }
+
+    return score;
+  }
+
+  // Resolve the line in complete.md where a method is documented
+  findDocLine(method) {
+    const heading = this.docs.findMethodHeading(method.name);
+    if (heading) {
+      return heading.line;
+    }
+    if (method.lines) {
+      return method.lines.start;
+    }
+
+    const locationMatch = (method.docLocation || '').match(/#L(\d+)$/);
+    return locationMatch ? parseInt(locationMatch[1], 10) : null;
+  }
+
+  // The method's chunk file when it's installed, else its line in complete.md
+  locate(method) {
+    if (method.chunk && this.chunkDir && fs.existsSync(path.join(this.chunkDir, method.chunk))) {
+      return path.relative(process.cwd(), path.join(this.chunkDir, method.chunk)).split(path.sep).join('/');
+    }
+    const line = this.findDocLine(method);
+    return line ? `${this.docPath}:${line}` : this.docPath;
+  }
+
+  // A documented error code, by its code (INVALID_CREDENTIALS) or reference (AUTH_001)
+  findError(code) {
+    if (!this.index.errors) {
+      throw new Error('This index.json has no error catalog. Run with --update to fix.');
+    }
+
+    const wanted = String(code || '').trim().toUpperCase();
+    const match = Object.entries(this.index.errors).find(([key, error]) => key === wanted || error.id === wanted);
+    if (!match) {
+      throw new Error(`"${code}" is not a documented Memberstack error code. Known codes: ${Object.keys(this.index.errors).join(', ')}`);
+    }
+
+    const [key, error] = match;
+    return {
+      code: key,
+      ...error,
+      location: error.lines ? `${this.docPath}:${error.lines.start}` : this.docPath
+    };
+  }
+
+  search(query, options = {}) {
+    const limit = options.limit || 10;
+    const terms = this.tokenize(query);
+
+    if (terms.length === 0) {
+      return [];
+    }
+
+    return this.methods
+      .map(method => ({ method, score: this.scoreMethod(method, query.trim(), terms) }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score || a.method.name.localeCompare(b.method.name))
+      .slice(0, limit)
+      .map(({ method, score }) => ({
+        name: method.name,
+        category: method.category,
+        signature: method.signature,
+        returns: method.returns,
+        description: method.description,
+        score,
+        location: this.locate(method),
+        tokens: method.tokens || null
+      }));
+  }
+}
+
+module.exports = MemberstackSearch;
@@ -0,0 +1,9 @@
+// Aider only reads CONVENTIONS.md when it is passed with --read or listed under
+// `read:` in .aider.conf.yml
+module.exports = {
+  id: 'aider',
+  label: 'Aider',
+  file: 'CONVENTIONS.md',
+  markers: 'html',
+  template: 'generic'
+};
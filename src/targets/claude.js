@@ -0,0 +1,13 @@
+const fs = require('fs');
+const path = require('path');
+
+module.exports = {
+  id: 'claude',
+  label: 'Claude Code',
+  file: 'CLAUDE.md',
+  markers: 'html',
+  template: 'claude',
+  mcpConfig: '.mcp.json',
+  default: true,
+  detect: ({ projectRoot }) => ['CLAUDE.md', '.claude'].some(file => fs.existsSync(path.join(projectRoot, file)))
+};
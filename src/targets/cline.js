@@ -0,0 +1,7 @@
+module.exports = {
+  id: 'cline',
+  label: 'Cline',
+  file: '.clinerules',
+  markers: 'html',
+  template: 'generic'
+};
@@ -0,0 +1,8 @@
+module.exports = {
+  id: 'codex',
+  label: 'Codex',
+  file: 'AGENTS.md',
+  markers: 'html',
+  template: 'codex',
+  default: true
+};
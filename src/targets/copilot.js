@@ -0,0 +1,10 @@
+const path = require('path');
+
+module.exports = {
+  id: 'copilot',
+  label: 'GitHub Copilot',
+  file: path.join('.github', 'copilot-instructions.md'),
+  markers: 'html',
+  template: 'copilot',
+  default: true
+};
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+
+const LEGACY_FILE = '.cursorrules';
+const MDC_FILE = path.join('.cursor', 'rules', 'memberstack.mdc');
+const MDC_GLOBS = ['js', 'jsx', 'ts', 'tsx', 'mjs', 'cjs', 'vue', 'svelte', 'astro', 'html']
+  .map(ext => `**/*.${ext}`)
+  .join(',');
+
+module.exports = {
+  id: 'cursor',
+  label: 'Cursor',
+  mcpConfig: path.join('.cursor', 'mcp.json'),
+  default: true,
+  outputs: [
+    {
+      name: 'legacy',
+      file: LEGACY_FILE,
+      markers: 'hash',
+      template: 'cursor'
+    },
+    {
+      // Project rule scoped by frontmatter; the whole file belongs to us
+      name: 'mdc',
+      file: MDC_FILE,
+      markers: 'html',
+      template: 'cursor-mdc',
+      ownsFile: true,
+      templateValues: { cursorGlobs: MDC_GLOBS },
+      check(content) {
+        const frontmatter = content.match(/^---\n([\s\S]*?)\n---/);
+        if (!frontmatter || !/^description:/m.test(frontmatter[1]) || !/^globs:/m.test(frontmatter[1])) {
+          return 'is missing description/globs frontmatter';
+        }
+        return null;
+      }
+    }
+  ],
+
+  // Any Cursor project config counts, not just our own files
+  detect({ projectRoot }) {
+    return fs.existsSync(path.join(projectRoot, '.cursor')) || fs.existsSync(path.join(projectRoot, LEGACY_FILE));
+  },
+
+  // Legacy .cursorrules unless MDC is requested or already installed
+  select({ projectRoot, options }) {
+    const format = options.cursorFormat || (fs.existsSync(path.join(projectRoot, MDC_FILE)) ? 'mdc' : 'legacy');
+    if (!['legacy', 'mdc'].includes(format)) {
+      throw new Error(`Unknown Cursor format '${format}'. Use 'legacy' or 'mdc'.`);
+    }
+    return format;
+  }
+};
@@ -0,0 +1,12 @@
+const fs = require('fs');
+const path = require('path');
+
+module.exports = {
+  id: 'gemini',
+  label: 'Gemini CLI',
+  file: 'GEMINI.md',
+  markers: 'html',
+  template: 'generic',
+  mcpConfig: path.join('.gemini', 'settings.json'),
+  detect: ({ projectRoot }) => ['GEMINI.md', '.gemini'].some(file => fs.existsSync(path.join(projectRoot, file)))
+};
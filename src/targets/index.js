@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const MARKER_STYLES = require('./markers');
+
+// Registry of AI-tool targets. A target declares where its Memberstack section
+// lives, how the section is delimited and which template renders it:
+//
+//   {
+//     id: 'windsurf',              // used with --ai
+//     label: 'Windsurf',
+//     file: '.windsurfrules',      // relative to the project root
+//     markers: 'html',             // key of MARKER_STYLES
+//     template: 'generic',         // templates/<name>.md, or a path to a .md file
+//     ownsFile: false,             // true when the whole file is ours
+//     mcpConfig: '.mcp.json',      // optional project MCP config to register in
+//     detect: ({ projectRoot }) => boolean,  // optional, defaults to "file exists"
+//     default: false               // installed when no tool is chosen
+//   }
+//
+// Targets with several possible locations list them under `outputs` and pick
+// one with `select(context)` (see cursor.js).
+const targets = new Map();
+
+function normalizeOutput(output, id) {
+  if (!output.file || typeof output.file !== 'string') {
+    throw new Error(`Target '${id}' needs a file path`);
+  }
+  const markers = output.markers || 'html';
+  if (!MARKER_STYLES[markers]) {
+    throw new Error(`Target '${id}' uses unknown marker style '${markers}' (expected ${Object.keys(MARKER_STYLES).join(' or ')})`);
+  }
+
+  return {
+    name: output.name || 'default',
+    file: output.file,
+    markers: MARKER_STYLES[markers],
+    template: output.template || 'generic',
+    ownsFile: Boolean(output.ownsFile),
+    templateValues: output.templateValues || {},
+    check: output.check || null
+  };
+}
+
+function registerTarget(definition) {
+  if (!definition || typeof definition.id !== 'string' || !/^[a-z][\w-]*$/.test(definition.id)) {
+    throw new Error(`Invalid target id '${definition && definition.id}'`);
+  }
+
+  if (targets.has(definition.id)) {
+    throw new Error(`A target with id '${definition.id}' is already registered`);
+  }
+
+  const outputs = (definition.outputs || [definition]).map(output => normalizeOutput(output, definition.id));
+  const target = {
+    id: definition.id,
+    label: definition.label || definition.id,
+    outputs,
+    mcpConfig: definition.mcpConfig || null,
+    default: Boolean(definition.default),
+    select: definition.select || (() => outputs[0].name),
+    detect: definition.detect || (({ projectRoot }) =>
+      outputs.some(output => fs.existsSync(path.join(projectRoot, output.file))))
+  };
+
+  targets.set(target.id, target);
+  return target;
+}
+
+function getTarget(id) {
+  return targets.get(id) || null;
+}
+
+function listTargets() {
+  return Array.from(targets.values());
+}
+
+function getDefaultTargetIds() {
+  return listTargets().filter(target => target.default).map(target => target.id);
+}
+
+// The output a target writes to for this run
+function resolveOutput(target, context) {
+  const name = target.select(context);
+  const output = target.outputs.find(o => o.name === name);
+  if (!output) {
+    throw new Error(`Target '${target.id}' has no output named '${name}'`);
+  }
+  return output;
+}
+
+// Third-party targets come from the `targets` array of the project config file
+function registerConfigTargets(config, projectRoot) {
+  (config.targets || []).forEach(definition => {
+    const resolveTemplate = output => {
+      // Custom templates are paths relative to the project
+      if (output.template && /[\\/]|\.md$/.test(output.template)) {
+        return { ...output, template: path.resolve(projectRoot, output.template) };
+      }
+      return output;
+    };
+
+    registerTarget(definition.outputs
+      ? { ...definition, outputs: definition.outputs.map(resolveTemplate) }
+      : resolveTemplate(definition));
+  });
+}
+
+[
+  require('./claude'),
+  require('./cursor'),
+  require('./codex'),
+  require('./copilot'),
+  require('./windsurf'),
+  require('./cline'),
+  require('./aider'),
+  require('./gemini')
+].forEach(registerTarget);
+
+module.exports = {
+  MARKER_STYLES,
+  registerTarget,
+  registerConfigTargets,
+  getTarget,
+  listTargets,
+  getDefaultTargetIds,
+  resolveOutput
+};
@@ -0,0 +1,15 @@
+// Comment styles used to delimit the Memberstack section inside a shared file
+const MARKER_STYLES = {
+  // Hidden in rendered markdown
+  html: {
+    start: '<!-- MEMBERSTACK-AI-DOCS-START -->',
+    end: '<!-- MEMBERSTACK-AI-DOCS-END -->'
+  },
+  // Plain-text rule files such as .cursorrules
+  hash: {
+    start: '# MEMBERSTACK-AI-DOCS-START',
+    end: '# MEMBERSTACK-AI-DOCS-END'
+  }
+};
+
+module.exports = MARKER_STYLES;
@@ -0,0 +1,7 @@
+module.exports = {
+  id: 'windsurf',
+  label: 'Windsurf',
+  file: '.windsurfrules',
+  markers: 'html',
+  template: 'generic'
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+// Renders templates/<tool>.md with values derived from index.json.
+// Layouts and partials use {{variable}} and {{> partial}} placeholders.
+// A layout can also be an absolute path, for targets that ship their own.
+class TemplateRenderer {
+  constructor(index, options = {}) {
+    this.index = index;
+    this.templatesDir = options.templatesDir || TEMPLATES_DIR;
+    // Layout-level partials to keep (all of them when not set)
+    this.sections = options.sections || null;
+    this.memberstackDir = options.memberstackDir || '.memberstack';
+    // Setup example for the project's framework, if one was detected
+    this.frameworkSetup = options.frameworkSetup || '';
+    // Docs being installed: a release tag such as v1.3.0, or the bundled docs' label (index.version is only the index format)
+    this.docsVersion = options.docsVersion || '';
+  }
+
+  static fromFile(indexPath, options) {
+    return new TemplateRenderer(JSON.parse(fs.readFileSync(indexPath, 'utf-8')), options);
+  }
+
+  render(tool, values = {}) {
+    const layoutPath = path.isAbsolute(tool) ? tool : path.join(this.templatesDir, `${tool}.md`);
+    if (!fs.existsSync(layoutPath)) {
+      throw new Error(path.isAbsolute(tool) ? `Template ${tool} not found` : `No template for '${tool}' in ${this.templatesDir}`);
+    }
+
+    const variables = { ...this.getVariables(), ...values };
+    this.checkSections();
+    const layout = this.includePartials(this.readTemplate(layoutPath), []);
+
+    // Blank lines are collapsed afterwards, so empty sections and variables leave no gaps
+    return layout.replace(/{{\s*(\w+)\s*}}/g, (match, name) => {
+      if (!(name in variables)) {
+        throw new Error(`Unknown template variable '${name}' in ${path.basename(layoutPath)}`);
+      }
+      return variables[name];
+    }).replace(/\n{3,}/g, '\n\n');
+  }
+
+  readTemplate(filePath) {
+    return fs.readFileSync(filePath, 'utf-8').replace(/\n$/, '');
+  }
+
+  includePartials(content, stack) {
+    return content.replace(/{{>\s*([\w-]+)\s*}}/g, (match, name) => {
+      if (stack.length === 0 && this.sections && !this.sections.includes(name)) {
+        return '';
+      }
+      if (stack.includes(name)) {
+        throw new Error(`Circular template partial: ${[...stack, name].join(' → ')}`);
+      }
+      const partialPath = path.join(this.templatesDir, 'partials', `${name}.md`);
+      if (!fs.existsSync(partialPath)) {
+        throw new Error(`Unknown template partial '${name}'`);
+      }
+      return this.includePartials(this.readTemplate(partialPath), [...stack, name]);
+    });
+  }
+
+  checkSections() {
+    if (!this.sections) {
+      return;
+    }
+    const available = fs.readdirSync(path.join(this.templatesDir, 'partials'))
+      .map(file => path.basename(file, '.md'));
+    const unknown = this.sections.filter(name => !available.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown section '${unknown.join("', '")}'. Available: ${available.join(', ')}`);
+    }
+  }
+
+  getVariables() {
+    const quickReference = this.index.quickReference || {};
+
+    return {
+      docsVersion: this.docsVersion,
+      lastUpdated: this.index.lastUpdated,
+      memberstackDir: this.memberstackDir,
+      frameworkSetup: this.frameworkSetup,
+      totalMethods: String(this.index.totalMethods),
+      categoryCount: String(Object.keys(this.index.categories).length),
+      quickReferenceCount: String(Object.values(quickReference).reduce((sum, names) => sum + names.length, 0)),
+      commonMethods: this.renderCommonMethods(quickReference),
+      categoryList: this.renderCategoryList(),
+      excludedCategories: this.renderExcludedCategories()
+    };
+  }
+
+  renderCommonMethods(quickReference) {
+    const methods = this.index.methodDetails;
+
+    return Object.entries(quickReference).map(([group, names]) => {
+      const lines = names
+        .map(name => methods.find(method => method.name === name))
+        .filter(Boolean)
+        .map(method => `- \`${method.signature || `${method.name}()`}\` - ${method.description}`);
+      return [`### ${group}`, ...lines].join('\n');
+    }).join('\n\n');
+  }
+
+  renderCategoryList() {
+    return Object.entries(this.index.categories)
+      .map(([name, category]) =>
+        `- **${name}** (${category.methods.length}): ${category.description}`
+      )
+      .join('\n');
+  }
+
+  // Categories a slimmed-down install left out of index.json (see profiles.js)
+  renderExcludedCategories() {
+    const excluded = this.index.excluded;
+    if (!excluded || excluded.categories.length === 0) {
+      return '';
+    }
+    const examples = excluded.methods.slice(0, 3).map(name => `\`${name}()\``).join(', ');
+    return `\nNot used in this project: ${excluded.categories.join(', ')}. ` +
+      `Don't suggest their methods${examples ? ` (such as ${examples})` : ''}.`;
+  }
+}
+
+module.exports = TemplateRenderer;
@@ -0,0 +1,197 @@
+const MemberstackDocs = require('./docs');
+
+// Installed under the docs directory
+const TYPES_FILE = 'types.d.ts';
+const TYPES_CHAPTER = 'Types Reference';
+// Chapters that declare their own methods' types instead of leaving them to the Types Reference
+const METHOD_TYPE_CHAPTERS = ['Data Tables'];
+// First line of every generated types file, so one in the project is only ever replaced by another
+const TYPES_HEADER = '// Memberstack DOM types, extracted from the Types Reference and Data Tables chapters of the Memberstack docs';
+// "interface Member {", "type PlanType = ..." and, in the Data Tables chapter, "GetDataTableParams = {"
+const DECLARATION = /^(?:export\s+)?(?:(interface|type|enum)\s+([A-Za-z_$][\w$]*)|([A-Z][\w$]*)\s*=\s*\{)/;
+// Names TypeScript's own libraries declare
+const GLOBAL_TYPES = new Set(['Array', 'Record', 'Promise', 'Partial', 'Required', 'Readonly', 'Pick', 'Omit', 'Date', 'Error', 'File', 'Blob', 'HTMLElement']);
+
+// Code without its line comment, for counting braces (comments hold things like 'GOOGLE' | 'FACEBOOK')
+function stripComment(line) {
+  return line.replace(/\/\/.*$/, '');
+}
+
+// Top-level interface, type and enum declarations of a TypeScript block; anything
+// else (usage examples, imports, classes) is skipped
+function parseDeclarations(code) {
+  const declarations = [];
+  const lines = code.split('\n');
+  let depth = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = depth === 0 && lines[i].match(DECLARATION);
+    if (!match) {
+      depth += (stripComment(lines[i]).match(/[{(]/g) || []).length - (stripComment(lines[i]).match(/[})]/g) || []).length;
+      continue;
+    }
+
+    // Without a keyword it's a type alias written like an object literal, ending at its "}"
+    const bare = !match[1];
+    let end = i;
+    let level = 0;
+    for (; end < lines.length; end++) {
+      const line = stripComment(lines[end]);
+      level += (line.match(/[{(]/g) || []).length - (line.match(/[})]/g) || []).length;
+      const closed = match[1] === 'type' ? /;\s*$/.test(line) : /}\s*;?\s*$/.test(line);
+      if (level === 0 && closed) {
+        break;
+      }
+    }
+
+    const code = lines.slice(i, end + 1).join('\n').replace(/^export\s+/, '');
+    declarations.push({
+      kind: match[1] || 'type',
+      name: match[2] || match[3],
+      code: bare ? `type ${code.replace(/\s*;?\s*$/, ';')}` : code
+    });
+    i = end;
+  }
+
+  return declarations;
+}
+
+// Type names a declaration refers to, leaving out comments, string literals, property
+// keys ("AND?: WhereClause[]" refers to WhereClause) and its own generic parameters
+function references(declaration) {
+  const code = declaration.code.split('\n').map(stripComment).join('\n').replace(/'[^']*'|"[^"]*"/g, '');
+  const header = code.match(new RegExp(`${declaration.name}\\s*<([^>]*)>`));
+  const generics = header ? header[1].split(',').map(param => param.trim().split(/\s/)[0]) : [];
+  return [...code.matchAll(/\b([A-Z][\w$]*)\b(?!\s*\??:)/g)]
+    .map(match => match[1])
+    .filter(name => name !== declaration.name && !generics.includes(name) && !GLOBAL_TYPES.has(name));
+}
+
+// Declarations from the TypeScript blocks of a chapter, each with the "##" section it's under
+function chapterDeclarations(docs, chapter) {
+  const { startLine, endLine } = docs.getSection(chapter);
+  const declarations = [];
+  let section = null;
+  let block = null;
+  docs.lines.slice(startLine, endLine).forEach(line => {
+    if (block) {
+      if (/^\s*```/.test(line)) {
+        parseDeclarations(block.join('\n')).forEach(declaration => declarations.push({ ...declaration, section }));
+        block = null;
+      } else {
+        block.push(line);
+      }
+      return;
+    }
+    const headingMatch = line.match(/^##\s+(.+?)\s*$/);
+    if (headingMatch) {
+      section = headingMatch[1];
+    } else if (/^\s*```(?:typescript|ts)\s*$/.test(line)) {
+      block = [];
+    }
+  });
+  return declarations;
+}
+
+// Declarations from the TypeScript blocks of the Types Reference chapter, then the
+// Data Tables chapter: [{ name, kind, section, code }], in document order. A name
+// declared twice keeps the first. Data Tables declarations using a type the docs
+// never declare are left out, so types.d.ts always compiles.
+function extractTypes(docsContent) {
+  const docs = new MemberstackDocs(docsContent);
+  const chapterHeading = title => docs.headings().find(heading => heading.level === 1 && heading.text === title);
+  const types = [];
+  const add = declarations => declarations
+    .filter(declaration => !types.some(type => type.name === declaration.name))
+    .forEach(declaration => types.push(declaration));
+
+  const reference = chapterHeading(TYPES_CHAPTER);
+  if (!reference) {
+    return [];
+  }
+  add(chapterDeclarations(docs, reference));
+
+  METHOD_TYPE_CHAPTERS.map(chapterHeading).filter(Boolean).forEach(chapter => {
+    let candidates = chapterDeclarations(docs, chapter)
+      .filter(declaration => !types.some(type => type.name === declaration.name))
+      .map(declaration => ({ ...declaration, section: chapter.text }));
+    // Drop declarations with unresolved references until the rest only use each other
+    for (let count = -1; count !== candidates.length;) {
+      count = candidates.length;
+      const names = new Set([...types, ...candidates].map(type => type.name));
+      candidates = candidates.filter(candidate => references(candidate).every(name => names.has(name)));
+    }
+    add(candidates);
+  });
+
+  return types;
+}
+
+// types.d.ts: every declaration exported, grouped under the chapter's "##" sections.
+// docsVersion is the docs release the declarations came from
+function renderTypesFile(types, { docsVersion } = {}) {
+  const header = [
+    TYPES_HEADER,
+    `// by memberstack-ai-docs${docsVersion ? ` (docs ${docsVersion})` : ''}. Regenerated on every install; don't edit.`
+  ];
+  const body = [];
+  let section = null;
+  types.forEach(type => {
+    if (type.section !== section) {
+      section = type.section;
+      body.push(`// ${section}`);
+    }
+    body.push(`export ${type.code}`);
+  });
+  return `${header.join('\n')}\n\n${body.join('\n\n')}\n`;
+}
+
+function isTypesFile(content) {
+  return content.startsWith(TYPES_HEADER);
+}
+
+// "updateMember" → "UpdateMember", "_Event" → "Event"
+function typePrefix(name) {
+  const bare = name.replace(/^_+/, '');
+  return bare[0].toUpperCase() + bare.slice(1);
+}
+
+// "queryDataRecords(params: QueryDataRecordsParams, options?: MemberstackOptions)" → "params: QueryDataRecordsParams"
+function firstArgument(signature) {
+  const args = signature.slice(signature.indexOf('(') + 1);
+  let depth = 0;
+  for (let i = 0; i < args.length; i++) {
+    if ('({[<'.includes(args[i])) {
+      depth++;
+    } else if (')}]>'.includes(args[i]) && depth-- === 0) {
+      return args.slice(0, i);
+    } else if (args[i] === ',' && depth === 0) {
+      return args.slice(0, i);
+    }
+  }
+  return args;
+}
+
+// The index with each method's parameter and payload types: <Method>Params and
+// <Method>Payload, or the declared ...Params type of its first argument and the type
+// its return type names
+function linkTypes(index, types) {
+  const names = new Set(types.map(type => type.name));
+  const referenced = (text, pattern = /./) => (text.match(/\b[A-Z]\w*\b/g) || [])
+    .find(word => names.has(word) && pattern.test(word));
+
+  return {
+    ...index,
+    methodDetails: index.methodDetails.map(method => {
+      const prefix = typePrefix(method.name);
+      const params = names.has(`${prefix}Params`) ? `${prefix}Params` : referenced(firstArgument(method.signature || ''), /Params$/);
+      const payload = referenced(method.returns || '') || (names.has(`${prefix}Payload`) ? `${prefix}Payload` : undefined);
+      if (!params && !payload) {
+        return method;
+      }
+      return { ...method, types: { ...(params ? { params } : {}), ...(payload ? { payload } : {}) } };
+    })
+  };
+}
+
+module.exports = { TYPES_FILE, extractTypes, renderTypesFile, isTypesFile, linkTypes };
@@ -0,0 +1,55 @@
+const chalk = require('chalk');
+const { createTwoFilesPatch, diffLines } = require('diff');
+
+// Plain unified diff between two versions of a project file; null stands for a
+// file that doesn't exist
+function createPatch(fileName, before, after) {
+  return createTwoFilesPatch(
+    before === null ? '/dev/null' : `a/${fileName}`,
+    after === null ? '/dev/null' : `b/${fileName}`,
+    before || '', after || '', '', '', { context: 3 }
+  )
+    .split('\n')
+    // Drop the "===" separator; the ---/+++ headers name the file
+    .filter(line => !/^=+$/.test(line))
+    .map(line => /^(---|\+\+\+) /.test(line) ? line.replace(/\t$/, '') : line)
+    .join('\n');
+}
+
+// Added and removed line counts
+function diffStats(before, after) {
+  const stats = { additions: 0, deletions: 0 };
+  diffLines(before || '', after || '').forEach(part => {
+    if (part.added) {
+      stats.additions += part.count;
+    } else if (part.removed) {
+      stats.deletions += part.count;
+    }
+  });
+  return stats;
+}
+
+// Coloured unified diff between two versions of a project file
+function formatDiff(fileName, before, after) {
+  return createPatch(fileName, before, after)
+    .split('\n')
+    .map(line => {
+      if (line.startsWith('+++') || line.startsWith('---')) {
+        return chalk.bold(line);
+      }
+      if (line.startsWith('@@')) {
+        return chalk.cyan(line);
+      }
+      if (line.startsWith('+')) {
+        return chalk.green(line);
+      }
+      if (line.startsWith('-')) {
+        return chalk.red(line);
+      }
+      return line;
+    })
+    .join('\n')
+    .trimEnd();
+}
+
+module.exports = { formatDiff, createPatch, diffStats };
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+const MEMBERSTACK_PACKAGE = '@memberstack/dom';
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+const IGNORED_DIRS = new Set(['node_modules', '.git']);
+// Workspace globs rarely go deeper than apps/<group>/<name>; this keeps the scan cheap
+const MAX_DEPTH = 4;
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// The "packages:" list of a pnpm-workspace.yaml; only that one key is needed,
+// so it's read line by line rather than with a YAML parser
+function readPnpmPatterns(filePath) {
+  const patterns = [];
+  let inPackages = false;
+
+  fs.readFileSync(filePath, 'utf-8').split('\n').forEach(line => {
+    const content = line.replace(/\s+#.*$/, '');
+    if (/^packages:\s*$/.test(content)) {
+      inPackages = true;
+      return;
+    }
+    const item = inPackages && content.match(/^\s+-\s*(.+?)\s*$/);
+    if (item) {
+      patterns.push(item[1].replace(/^(['"])(.*)\1$/, '$2'));
+    } else if (/^\S/.test(content)) {
+      inPackages = false;
+    }
+  });
+
+  return patterns;
+}
+
+// Workspace globs from pnpm-workspace.yaml, or package.json "workspaces" (npm and yarn)
+function readWorkspacePatterns(root) {
+  const pnpmFile = path.join(root, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmFile)) {
+    return { manager: 'pnpm', patterns: readPnpmPatterns(pnpmFile) };
+  }
+
+  const packageJson = readJson(path.join(root, 'package.json'));
+  const workspaces = packageJson && packageJson.workspaces;
+  if (Array.isArray(workspaces)) {
+    return { manager: 'npm', patterns: workspaces };
+  }
+  if (workspaces && Array.isArray(workspaces.packages)) {
+    return { manager: 'yarn', patterns: workspaces.packages };
+  }
+  return null;
+}
+
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/^\.\//, '')
+    .replace(/\/+$/, '')
+    .split('/')
+    .map(segment => {
+      if (segment === '**') {
+        return '(?:.+)?';
+      }
+      return segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]');
+    })
+    .join('/')
+    .replace(/\/\(\?:\.\+\)\?/g, '(?:/.+)?')
+    .replace(/^\(\?:\.\+\)\?\//, '(?:.+/)?');
+  return new RegExp(`^${source}$`);
+}
+
+// Directories below root (relative, "/"-separated) that contain a package.json
+function listPackageDirs(root) {
+  const dirs = [];
+  const walk = (dir, depth) => {
+    if (depth > MAX_DEPTH) {
+      return;
+    }
+    fs.readdirSync(path.join(root, dir), { withFileTypes: true }).forEach(entry => {
+      if (!entry.isDirectory() || IGNORED_DIRS.has(entry.name) || entry.name.startsWith('.')) {
+        return;
+      }
+      const child = dir ? `${dir}/${entry.name}` : entry.name;
+      if (fs.existsSync(path.join(root, child, 'package.json'))) {
+        dirs.push(child);
+      }
+      walk(child, depth + 1);
+    });
+  };
+  walk('', 1);
+  return dirs;
+}
+
+function dependsOn(packageJson, dependency) {
+  return DEPENDENCY_FIELDS.some(field => packageJson[field] && packageJson[field][dependency]);
+}
+
+// Workspace packages that use Memberstack: [{ name, dir }] with dir relative to root
+function findWorkspacePackages(root, dependency = MEMBERSTACK_PACKAGE) {
+  const workspace = readWorkspacePatterns(root);
+  if (!workspace) {
+    throw new Error(`No workspaces found in ${root} (expected pnpm-workspace.yaml or "workspaces" in package.json)`);
+  }
+
+  const include = workspace.patterns.filter(pattern => !pattern.startsWith('!')).map(globToRegExp);
+  const exclude = workspace.patterns.filter(pattern => pattern.startsWith('!')).map(pattern => globToRegExp(pattern.slice(1)));
+
+  return listPackageDirs(root)
+    .filter(dir => include.some(pattern => pattern.test(dir)) && !exclude.some(pattern => pattern.test(dir)))
+    .map(dir => ({ dir, packageJson: readJson(path.join(root, dir, 'package.json')) }))
+    .filter(({ packageJson }) => packageJson && dependsOn(packageJson, dependency))
+    .map(({ dir, packageJson }) => ({ name: packageJson.name || dir, dir }))
+    .sort((a, b) => a.dir.localeCompare(b.dir));
+}
+
+module.exports = { MEMBERSTACK_PACKAGE, findWorkspacePackages, readWorkspacePatterns };
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OUTPUTS, buildDocs, findRemovedMethods } = require('../src/docs-builder');
+const { validateIndex } = require('../src/index-schema');
+
+// Every method the hand-maintained index documented before it was generated from
+// the chapter files, by category
+const DOCUMENTED_METHODS = {
+  initialization: ['init', 'getApp'],
+  authentication: [
+    'loginMemberEmailPassword', 'signupMemberEmailPassword', 'logout', 'loginMemberPasswordless',
+    'sendMemberLoginPasswordlessEmail', 'loginWithProvider', 'signupWithProvider', 'sendMemberResetPasswordEmail',
+    'resetMemberPassword', 'sendMemberVerificationEmail', 'onAuthChange'
+  ],
+  members: [
+    'getCurrentMember', 'updateMember', 'updateMemberProfileImage', 'updateMemberAuth', 'getMemberJSON',
+    'updateMemberJSON', 'deleteMember'
+  ],
+  billing: ['getPlans', 'getPlan', 'addPlan', 'removePlan', 'purchasePlansWithCheckout', 'launchStripeCustomerPortal'],
+  ui: ['openModal', 'showModal', 'hideModal', '_showLoader', '_hideLoader', '_showMessage'],
+  content: [
+    'getSecureContent', 'getPosts', 'createPost', 'updatePost', 'deletePost', 'postVote', 'getThreads',
+    'createThread', 'threadVote'
+  ],
+  teams: ['joinTeam', 'getTeam', 'generateInviteToken', 'removeMemberFromTeam'],
+  internal: ['_Event'],
+  'data-tables': [
+    'queryDataRecords', 'getDataTable', 'getDataTables', 'getDataRecords', 'getDataRecord', 'createDataRecord',
+    'updateDataRecord', 'deleteDataRecord'
+  ]
+};
+
+const outputs = buildDocs();
+const index = JSON.parse(outputs.find(output => output.path === OUTPUTS.index).content);
+
+module.exports = {
+  'the rebuilt index matches the schema': () => {
+    assert.deepStrictEqual(validateIndex(index).errors, []);
+  },
+
+  'the rebuilt index keeps every previously documented method': () => {
+    const expected = Object.values(DOCUMENTED_METHODS).flat();
+    const names = index.methodDetails.map(method => method.name);
+    assert.deepStrictEqual(expected.filter(name => !names.includes(name)), []);
+    assert.ok(index.totalMethods >= expected.length, `${index.totalMethods} methods, expected at least ${expected.length}`);
+  },
+
+  'previously documented methods keep their categories': () => {
+    Object.entries(DOCUMENTED_METHODS).forEach(([category, names]) => {
+      assert.ok(index.categories[category], `missing category ${category}`);
+      assert.deepStrictEqual(names.filter(name => !index.categories[category].methods.includes(name)), [], category);
+    });
+  },
+
+  'methods of a Method Signatures block get their heading as subcategory': () => {
+    const method = index.methodDetails.find(candidate => candidate.name === '_hideLoader');
+    assert.strictEqual(method.signature, '_hideLoader(element?: HTMLElement)');
+    assert.strictEqual(method.returns, 'void');
+    assert.strictEqual(method.subcategory, 'Loading States');
+  },
+
+  'findRemovedMethods reports methods the committed index has and the build dropped': () => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'memberstack-build-'));
+    try {
+      const committed = { ...index, methodDetails: [...index.methodDetails, { name: 'retiredMethod' }] };
+      fs.mkdirSync(path.join(rootDir, 'docs'));
+      fs.writeFileSync(path.join(rootDir, OUTPUTS.index), JSON.stringify(committed));
+      assert.deepStrictEqual(findRemovedMethods(rootDir, outputs), ['retiredMethod']);
+    } finally {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    }
+  }
+};
@@ -0,0 +1,31 @@
+const assert = require('assert');
+const { diffIndexes, hasChanges } = require('../src/changelog');
+
+const index = (methods, extra = {}) => ({ version: '2.5.0', methodDetails: methods, ...extra });
+
+module.exports = {
+  'versions are the docs releases given, not the index format': () => {
+    const changes = diffIndexes(index([]), index([]), { fromVersion: 'v1.2.0', toVersion: 'v1.3.0' });
+    assert.strictEqual(changes.fromVersion, 'v1.2.0');
+    assert.strictEqual(changes.toVersion, 'v1.3.0');
+    assert.strictEqual(diffIndexes(index([]), index([])).fromVersion, null);
+  },
+
+  'added, removed and changed methods are reported': () => {
+    const changes = diffIndexes(
+      index([{ name: 'getPlan', signature: 'getPlan({ planId })' }, { name: 'showModal', signature: 'showModal()' }]),
+      index([{ name: 'getPlan', signature: 'getPlan({ planId: string })' }, { name: 'getApp', signature: 'getApp()' }])
+    );
+    assert.deepStrictEqual(changes.added, [{ name: 'getApp', signature: 'getApp()' }]);
+    assert.deepStrictEqual(changes.removed, [{ name: 'showModal', signature: 'showModal()' }]);
+    assert.deepStrictEqual(changes.changed.map(method => method.name), ['getPlan']);
+  },
+
+  'methods an install profile left out are not changes': () => {
+    const changes = diffIndexes(
+      index([{ name: 'getPlans' }]),
+      index([], { excluded: { categories: ['billing'], methods: ['getPlans'] } })
+    );
+    assert.ok(!hasChanges(changes));
+  }
+};
@@ -0,0 +1,99 @@
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemberstackChecker = require('../src/checker');
+const { filterIndex } = require('../src/profiles');
+const { extractTypes } = require('../src/types');
+const index = require('../docs/memberstack-index.json');
+
+const ROOT_DIR = path.join(__dirname, '..');
+// The snippets agents are told to start from
+const QUICK_START_FILES = [
+  'templates/partials/quick-start.md',
+  'templates/partials/common-patterns.md',
+  'templates/quickref.md',
+  'docs/memberstack-quickref.md'
+];
+
+function codeBlocks(file) {
+  const content = fs.readFileSync(path.join(ROOT_DIR, file), 'utf-8');
+  return [...content.matchAll(/```(?:javascript|js|typescript|ts)\n([\s\S]*?)\n```/g)].map(match => match[1]);
+}
+
+const types = extractTypes(fs.readFileSync(path.join(ROOT_DIR, 'docs/memberstack-complete.md'), 'utf-8'));
+const checker = new MemberstackChecker(index, { types });
+const rules = source => checker.checkSource(source).map(diagnostic => diagnostic.rule);
+
+module.exports = {
+  'check finds no errors in the Quick Start snippets': () => {
+    const project = fs.mkdtempSync(path.join(os.tmpdir(), 'memberstack-check-'));
+    try {
+      QUICK_START_FILES.forEach(file => codeBlocks(file).forEach((code, i) => {
+        fs.writeFileSync(path.join(project, `${path.basename(file, '.md')}-${i + 1}.js`), code);
+      }));
+      // Exits 1 when there are errors
+      const output = execFileSync(process.execPath, [path.join(ROOT_DIR, 'bin/install.js'), 'check', '--format', 'json'],
+        { cwd: project, encoding: 'utf-8' });
+      const { files, diagnostics } = JSON.parse(output);
+      assert.ok(files > 0);
+      assert.deepStrictEqual(diagnostics.filter(diagnostic => diagnostic.level === 'error'), []);
+    } finally {
+      fs.rmSync(project, { recursive: true, force: true });
+    }
+  },
+
+  'documented calls without a method heading of their own pass': () => {
+    const source = [
+      "const ms = memberstack.init({ publicKey: 'pk_sb_123', useCookies: true });",
+      'const { data: app } = await window.$memberstackDom.getApp();',
+      'memberstack._showLoader();',
+      'memberstack._hideLoader(button);',
+      "memberstack._showMessage('Saved', false);",
+      "await ms.threadVote({ threadId, vote: 'up' });"
+    ].join('\n');
+    assert.deepStrictEqual(checker.checkSource(source), []);
+  },
+
+  'an undocumented method is an error with suggestions': () => {
+    const [diagnostic] = checker.checkSource('await memberstack.logoutMember();');
+    assert.strictEqual(diagnostic.rule, 'unknown-method');
+    assert.strictEqual(diagnostic.level, 'error');
+    assert.match(diagnostic.message, /Did you mean 'logout'/);
+    assert.deepStrictEqual([diagnostic.line, diagnostic.column], [1, 19]);
+  },
+
+  'literal arguments are checked against the signature': () => {
+    assert.deepStrictEqual(rules("memberstack.getPlan('pln_123');"), ['argument-shape']);
+    assert.deepStrictEqual(rules("memberstack.loginMemberEmailPassword({ email: 'a@b.co' });"), ['missing-parameter']);
+    assert.deepStrictEqual(rules("memberstack.getPlan({ planID: 'pln_123' });"), ['unknown-parameter', 'missing-parameter']);
+    assert.deepStrictEqual(rules('memberstack.getCurrentMember();'), []);
+    assert.deepStrictEqual(rules('memberstack.updateMember(params);'), []);
+  },
+
+  'parameters typed with a string-union alias take strings': () => {
+    assert.deepStrictEqual(rules("memberstack.openModal('LOGIN');"), []);
+    const [diagnostic] = checker.checkSource("memberstack.openModal({ type: 'LOGIN' });");
+    assert.strictEqual(diagnostic.rule, 'argument-shape');
+    assert.match(diagnostic.message, /openModal\(\) takes a string as argument 1, not an object/);
+    // Without the declarations the alias could be anything
+    assert.deepStrictEqual(new MemberstackChecker(index).checkSource("memberstack.openModal({ type: 'LOGIN' });"), []);
+  },
+
+  'calls in comments and strings are ignored': () => {
+    assert.deepStrictEqual(rules("// memberstack.logoutMember()\nconst text = 'memberstack.logoutMember()';"), []);
+  },
+
+  'ms only counts in files that mention Memberstack': () => {
+    assert.deepStrictEqual(rules('const delay = ms.fromSeconds(2);'), []);
+    assert.deepStrictEqual(rules('// memberstack\nms.fromSeconds(2);'), ['unknown-method']);
+  },
+
+  'methods a profile left out are warnings': () => {
+    const minimal = new MemberstackChecker(filterIndex(index, ['initialization', 'authentication', 'members']));
+    const [diagnostic] = minimal.checkSource('memberstack.getPlans();');
+    assert.strictEqual(diagnostic.rule, 'excluded-method');
+    assert.strictEqual(diagnostic.level, 'warning');
+  }
+};
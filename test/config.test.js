@@ -0,0 +1,90 @@
+const assert = require('assert');
+const { loadConfig, saveConfig } = require('../src/config');
+const { withProject, runCli, read, exists } = require('./helpers');
+
+const JS_CONFIG = 'memberstack-ai-docs.config.js';
+
+module.exports = {
+  'no config file is an empty config': () => withProject({}, async dir => {
+    assert.deepStrictEqual(loadConfig(dir), {});
+  }),
+
+  '.memberstackrc settings load with the file they came from': () => withProject({
+    '.memberstackrc': { aiTools: ['claude'], mcp: false, note: 'kept but ignored' }
+  }, async dir => {
+    assert.deepStrictEqual(loadConfig(dir), { aiTools: ['claude'], mcp: false, note: 'kept but ignored', configFile: '.memberstackrc' });
+  }),
+
+  'the JS config wins over .memberstackrc': () => withProject({
+    [JS_CONFIG]: "module.exports = { aiTools: ['cursor'], profile: 'minimal' };\n",
+    '.memberstackrc': { aiTools: ['claude'] }
+  }, async dir => {
+    assert.deepStrictEqual(loadConfig(dir), { aiTools: ['cursor'], profile: 'minimal', configFile: JS_CONFIG });
+  }),
+
+  'settings of the wrong type are errors': async () => {
+    const load = config => withProject({ '.memberstackrc': config }, async dir => loadConfig(dir));
+    await assert.rejects(load({ aiTools: 'claude' }), /^Error: \.memberstackrc: "aiTools" must be an array$/);
+    await assert.rejects(load({ paths: ['CLAUDE.md'] }), /"paths" must be an object$/);
+    await assert.rejects(load({ mcp: 'no' }), /"mcp" must be a boolean$/);
+    await assert.rejects(load({ docsVersion: 1 }), /"docsVersion" must be a string$/);
+  },
+
+  'a config that isn\'t an object is an error': async () => {
+    await assert.rejects(withProject({ '.memberstackrc': '{ aiTools: [claude] }' }, async dir => loadConfig(dir)),
+      /^Error: Could not read \.memberstackrc: /);
+    await assert.rejects(withProject({ '.memberstackrc': '["claude"]' }, async dir => loadConfig(dir)),
+      /\.memberstackrc must export an object/);
+    await assert.rejects(withProject({ [JS_CONFIG]: 'module.exports = null;\n' }, async dir => loadConfig(dir)),
+      /memberstack-ai-docs\.config\.js must export an object/);
+  },
+
+  'saveConfig merges into .memberstackrc': () => withProject({
+    '.memberstackrc': { aiTools: ['claude'], note: 'keep me' }
+  }, async dir => {
+    const writes = [];
+    assert.strictEqual(saveConfig(dir, { aiTools: ['cursor'], mcp: false }, (file, content) => writes.push([file, content])), '.memberstackrc');
+    assert.deepStrictEqual(writes.map(([file]) => file), ['.memberstackrc']);
+    assert.deepStrictEqual(JSON.parse(writes[0][1]), { aiTools: ['cursor'], note: 'keep me', mcp: false });
+  }),
+
+  'saveConfig leaves a JS config alone': () => withProject({ [JS_CONFIG]: 'module.exports = {};\n' }, async dir => {
+    assert.strictEqual(saveConfig(dir, { aiTools: ['claude'] }, () => assert.fail('nothing should be written')), null);
+  }),
+
+  'an install uses the configured tools, paths and docs directory': () => withProject({
+    '.memberstackrc': { aiTools: ['claude'], mcp: false, memberstackDir: 'docs/ai', paths: { claude: 'docs/CLAUDE.md' } }
+  }, async dir => {
+    const { code, stdout, stderr } = await runCli(dir, []);
+    assert.strictEqual(code, 0, stderr);
+    assert.match(stdout, /Using AI tools from \.memberstackrc/);
+    assert.ok(read(dir, 'docs/CLAUDE.md').includes('`docs/ai/index.json`'));
+    assert.ok(exists(dir, 'docs/ai/index.json'));
+    assert.ok(!exists(dir, 'CLAUDE.md'));
+    assert.ok(!exists(dir, '.memberstack'));
+    assert.ok(!exists(dir, '.mcp.json'));
+  }),
+
+  'flags override the config file': () => withProject({
+    '.memberstackrc': { aiTools: ['claude'], mcp: false, note: 'keep me' }
+  }, async dir => {
+    const { code, stdout, stderr } = await runCli(dir, ['--ai', 'codex']);
+    assert.strictEqual(code, 0, stderr);
+    assert.doesNotMatch(stdout, /Using AI tools from/);
+    assert.ok(exists(dir, 'AGENTS.md'));
+    assert.ok(!exists(dir, 'CLAUDE.md'));
+    const saved = JSON.parse(read(dir, '.memberstackrc'));
+    assert.deepStrictEqual(saved.aiTools, ['codex']);
+    assert.strictEqual(saved.note, 'keep me');
+  }),
+
+  'a JS config is reported, not rewritten': () => withProject({
+    [JS_CONFIG]: "module.exports = { mcp: false };\n"
+  }, async dir => {
+    const { code, stdout, stderr } = await runCli(dir, ['--ai', 'claude']);
+    assert.strictEqual(code, 0, stderr);
+    assert.match(stdout, /Add aiTools: \["claude"\] to memberstack-ai-docs\.config\.js to pin this selection/);
+    assert.strictEqual(read(dir, JS_CONFIG), "module.exports = { mcp: false };\n");
+    assert.ok(!exists(dir, '.memberstackrc'));
+  })
+};
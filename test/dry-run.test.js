@@ -0,0 +1,91 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createPatch, diffStats } = require('../src/unified-diff');
+const { withProject, runCli, read, exists } = require('./helpers');
+
+module.exports = {
+  'patches are plain unified diffs with a/ and b/ paths': () => {
+    assert.strictEqual(createPatch('CLAUDE.md', 'one\ntwo\n', 'one\nthree\n'), [
+      '--- a/CLAUDE.md',
+      '+++ b/CLAUDE.md',
+      '@@ -1,2 +1,2 @@',
+      ' one',
+      '-two',
+      '+three',
+      ''
+    ].join('\n'));
+  },
+
+  'created and deleted files diff against /dev/null': () => {
+    assert.match(createPatch('AGENTS.md', null, 'new\n'), /^--- \/dev\/null\n\+\+\+ b\/AGENTS\.md\n@@ -0,0 \+1,1 @@\n\+new\n/);
+    assert.match(createPatch('AGENTS.md', 'old\n', null), /^--- a\/AGENTS\.md\n\+\+\+ \/dev\/null\n/);
+  },
+
+  'diffStats counts added and removed lines': () => {
+    assert.deepStrictEqual(diffStats('a\nb\nc\n', 'a\nc\nd\ne\n'), { additions: 2, deletions: 1 });
+    assert.deepStrictEqual(diffStats(null, 'a\nb\n'), { additions: 2, deletions: 0 });
+  },
+
+  '--dry-run shows a diff and changes nothing': () => withProject({ 'CLAUDE.md': '# Project notes\n' }, async dir => {
+    const { code, stdout, stderr } = await runCli(dir, ['--dry-run', '--ai', 'claude', '--no-mcp']);
+    assert.strictEqual(code, 0, stderr);
+    assert.match(stdout, /~ update CLAUDE\.md \(\+\d+ -0\)/);
+    assert.match(stdout, /\+ create \.memberstack\/index\.json/);
+    assert.match(stdout, /--- a\/CLAUDE\.md\n.*\+\+\+ b\/CLAUDE\.md/);
+    assert.strictEqual(read(dir, 'CLAUDE.md'), '# Project notes\n');
+    assert.deepStrictEqual(fs.readdirSync(dir), ['CLAUDE.md']);
+  }),
+
+  '--dry-run --json prints only the change plan': () => withProject({ 'CLAUDE.md': '# Project notes\n' }, async dir => {
+    const { code, stdout, stderr } = await runCli(dir, ['--dry-run', '--json', '--ai', 'claude', '--no-mcp']);
+    assert.strictEqual(code, 0, stderr);
+    const plan = JSON.parse(stdout);
+    assert.strictEqual(plan.dryRun, true);
+    assert.strictEqual(plan.command, 'install');
+    assert.deepStrictEqual(plan.aiTools, ['claude']);
+    assert.match(plan.docsVersion, /^bundled-/);
+    assert.strictEqual(plan.apiChanges, null);
+
+    const change = file => plan.changes.find(candidate => candidate.path === file);
+    assert.strictEqual(change('CLAUDE.md').action, 'update');
+    assert.strictEqual(change('CLAUDE.md').deletions, 0);
+    assert.ok(change('CLAUDE.md').patch.startsWith('--- a/CLAUDE.md\n+++ b/CLAUDE.md\n'));
+    assert.strictEqual(change('.memberstackrc').action, 'create');
+    // The docs are too long to read as a diff; they only get line counts
+    const index = change(path.join('.memberstack', 'index.json'));
+    assert.strictEqual(index.action, 'create');
+    assert.ok(index.additions > 0);
+    assert.ok(!('patch' in index));
+    assert.ok(!exists(dir, '.memberstack'));
+  }),
+
+  'a dry-run update of an up-to-date install has nothing to change': () => withProject({}, async dir => {
+    const install = await runCli(dir, ['--ai', 'claude', '--no-mcp']);
+    assert.strictEqual(install.code, 0, install.stderr);
+    const { code, stdout, stderr } = await runCli(dir, ['--update', '--dry-run', '--json']);
+    assert.strictEqual(code, 0, stderr);
+    const plan = JSON.parse(stdout);
+    assert.strictEqual(plan.command, 'update');
+    assert.deepStrictEqual(plan.changes, []);
+  }),
+
+  '--dry-run --remove lists the deletions': () => withProject({}, async dir => {
+    await runCli(dir, ['--ai', 'claude', '--no-mcp']);
+    const { code, stdout, stderr } = await runCli(dir, ['--remove', '--dry-run', '--json']);
+    assert.strictEqual(code, 0, stderr);
+    const plan = JSON.parse(stdout);
+    assert.strictEqual(plan.command, 'remove');
+    assert.deepStrictEqual(plan.changes.map(change => [change.path, change.action]), [
+      ['CLAUDE.md', 'delete'],
+      ['.memberstack/', 'delete']
+    ]);
+    assert.ok(exists(dir, 'CLAUDE.md') && exists(dir, '.memberstack/index.json'));
+  }),
+
+  '--json without --dry-run is an error, reported as JSON': () => withProject({}, async dir => {
+    const { code, stdout } = await runCli(dir, ['--json', '--ai', 'claude']);
+    assert.strictEqual(code, 1);
+    assert.deepStrictEqual(JSON.parse(stdout), { dryRun: false, error: '--json is only supported with --dry-run' });
+  })
+};
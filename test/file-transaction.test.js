@@ -0,0 +1,144 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const FileTransaction = require('../src/file-transaction');
+const { withProject, runCli, read, exists } = require('./helpers');
+
+const begin = (dir, options = {}) => new FileTransaction({
+  projectRoot: dir,
+  backupRoot: path.join(dir, '.memberstack', 'backups'),
+  command: 'install',
+  ...options
+});
+
+// Backup directories are named after the time, to the millisecond
+const nextMillisecond = () => new Promise(resolve => setTimeout(resolve, 5));
+
+module.exports = {
+  'writes replace a file whole and keep its mode': () => withProject({ 'bin/run.sh': 'echo one\n' }, async dir => {
+    const file = path.join(dir, 'bin/run.sh');
+    fs.chmodSync(file, 0o755);
+    const files = begin(dir);
+    assert.strictEqual(files.write('bin/run.sh', 'echo two\n'), true);
+    assert.strictEqual(read(dir, 'bin/run.sh'), 'echo two\n');
+    assert.strictEqual(fs.statSync(file).mode & 0o777, 0o755);
+    // No temp file left next to it
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'bin')), ['run.sh']);
+  }),
+
+  'unchanged content is neither rewritten nor backed up': () => withProject({ 'CLAUDE.md': 'same\n' }, async dir => {
+    const files = begin(dir);
+    assert.strictEqual(files.write('CLAUDE.md', 'same\n'), false);
+    assert.strictEqual(files.touched.size, 0);
+    assert.strictEqual(files.commit(), null);
+    assert.ok(!exists(dir, '.memberstack/backups'));
+  }),
+
+  'restoreLatest puts back what the last run changed and deletes what it created': () => withProject({
+    'CLAUDE.md': 'one\n',
+    'AGENTS.md': 'agents\n'
+  }, async dir => {
+    const files = begin(dir);
+    files.write('CLAUDE.md', 'two\n');
+    files.write('CLAUDE.md', 'three\n');
+    files.write('.cursor/rules/memberstack.mdc', 'rules\n');
+    files.remove('AGENTS.md');
+    const backupDir = files.commit();
+    assert.deepStrictEqual(JSON.parse(read(backupDir, 'backup.json')).files, [
+      { path: 'CLAUDE.md', existed: true },
+      { path: path.join('.cursor', 'rules', 'memberstack.mdc'), existed: false },
+      { path: 'AGENTS.md', existed: true }
+    ]);
+
+    const backup = FileTransaction.restoreLatest(dir, path.join(dir, '.memberstack', 'backups'));
+    assert.strictEqual(backup.command, 'install');
+    // The first version, not the one in between
+    assert.strictEqual(read(dir, 'CLAUDE.md'), 'one\n');
+    assert.strictEqual(read(dir, 'AGENTS.md'), 'agents\n');
+    assert.ok(!exists(dir, '.cursor'), 'directories the run created are removed too');
+    assert.ok(!fs.existsSync(backupDir));
+    assert.strictEqual(FileTransaction.restoreLatest(dir, path.join(dir, '.memberstack', 'backups')), null);
+  }),
+
+  'repeated restores step further back': () => withProject({ 'CLAUDE.md': 'v1\n' }, async dir => {
+    const backupRoot = path.join(dir, '.memberstack', 'backups');
+    for (const version of ['v2\n', 'v3\n']) {
+      const files = begin(dir);
+      files.write('CLAUDE.md', version);
+      files.commit();
+      await nextMillisecond();
+    }
+    FileTransaction.restoreLatest(dir, backupRoot);
+    assert.strictEqual(read(dir, 'CLAUDE.md'), 'v2\n');
+    FileTransaction.restoreLatest(dir, backupRoot);
+    assert.strictEqual(read(dir, 'CLAUDE.md'), 'v1\n');
+  }),
+
+  'only the five newest backups are kept': () => withProject({}, async dir => {
+    for (let run = 1; run <= 7; run++) {
+      const files = begin(dir, { command: `run ${run}` });
+      files.write('CLAUDE.md', `run ${run}\n`);
+      files.commit();
+      await nextMillisecond();
+    }
+    const backups = FileTransaction.listBackups(path.join(dir, '.memberstack', 'backups'));
+    assert.deepStrictEqual(backups.map(backup => backup.command), ['run 7', 'run 6', 'run 5', 'run 4', 'run 3']);
+    assert.strictEqual(fs.readdirSync(path.join(dir, '.memberstack', 'backups')).length, 5);
+  }),
+
+  'rollback undoes an uncommitted run and leaves no backup': () => withProject({ 'CLAUDE.md': 'before\n' }, async dir => {
+    const files = begin(dir);
+    files.write('CLAUDE.md', 'half done\n');
+    files.write('AGENTS.md', 'new\n');
+    const restored = files.rollback();
+    assert.deepStrictEqual(restored.map(file => file.path), ['CLAUDE.md', 'AGENTS.md']);
+    assert.strictEqual(read(dir, 'CLAUDE.md'), 'before\n');
+    assert.ok(!exists(dir, 'AGENTS.md'));
+    assert.deepStrictEqual(FileTransaction.listBackups(path.join(dir, '.memberstack', 'backups')), []);
+  }),
+
+  'a dry run stages changes in memory and reports them': () => withProject({
+    'CLAUDE.md': 'before\n',
+    'AGENTS.md': 'agents\n',
+    '.memberstack/index.json': '{}'
+  }, async dir => {
+    const files = begin(dir, { dryRun: true });
+    files.write('CLAUDE.md', 'after\n');
+    files.write('GEMINI.md', 'new\n');
+    files.remove('AGENTS.md');
+    files.removeDirectory('.memberstack');
+    files.note('CLAUDE.md', 'replaces local edits');
+
+    assert.strictEqual(files.read('CLAUDE.md'), 'after\n');
+    assert.ok(!files.exists('AGENTS.md'));
+    assert.ok(!files.exists('.memberstack/index.json'));
+    assert.strictEqual(read(dir, 'CLAUDE.md'), 'before\n');
+    assert.ok(!exists(dir, 'GEMINI.md'));
+    assert.ok(exists(dir, 'AGENTS.md') && exists(dir, '.memberstack/index.json'));
+
+    assert.deepStrictEqual(files.getChanges().map(change => [change.path, change.action, change.note]), [
+      ['CLAUDE.md', 'update', 'replaces local edits'],
+      ['GEMINI.md', 'create', null],
+      ['AGENTS.md', 'delete', null],
+      ['.memberstack/', 'delete', null]
+    ]);
+    assert.strictEqual(files.commit(), null);
+  }),
+
+  '--rollback undoes the last install': () => withProject({ 'CLAUDE.md': '# Project notes\n' }, async dir => {
+    const install = await runCli(dir, ['--ai', 'claude', '--no-mcp']);
+    assert.strictEqual(install.code, 0, install.stderr);
+    assert.ok(read(dir, 'CLAUDE.md').includes('Memberstack'));
+
+    const rollback = await runCli(dir, ['--rollback']);
+    assert.strictEqual(rollback.code, 0, rollback.stderr);
+    assert.match(rollback.stdout, /Rolled back the install from /);
+    assert.strictEqual(read(dir, 'CLAUDE.md'), '# Project notes\n');
+    assert.ok(!exists(dir, '.memberstackrc'));
+    assert.ok(!exists(dir, '.memberstack/index.json'));
+
+    const again = await runCli(dir, ['--rollback']);
+    assert.strictEqual(again.code, 1);
+    assert.match(again.stderr, /No backups found in \.memberstack[/\\]backups/);
+  })
+};
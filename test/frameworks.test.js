@@ -0,0 +1,79 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { detectFramework, renderContextPack } = require('../src/frameworks');
+const targets = require('../src/targets');
+const { withProject, runCli, read, exists } = require('./helpers');
+const index = require('../docs/memberstack-index.json');
+
+const complete = fs.readFileSync(path.join(__dirname, '..', 'docs', 'memberstack-complete.md'), 'utf-8');
+
+const detect = files => withProject(files, async dir => detectFramework(dir));
+
+module.exports = {
+  'the framework comes from the package.json dependencies': async () => {
+    assert.strictEqual(await detect({ 'package.json': { dependencies: { next: '14.0.0', react: '18.0.0' } } }), 'next');
+    assert.strictEqual(await detect({ 'package.json': { dependencies: { react: '18.0.0' } } }), 'react');
+    assert.strictEqual(await detect({ 'package.json': { devDependencies: { nuxt: '3.0.0' } } }), 'vue');
+  },
+
+  'without a framework dependency, HTML files decide': async () => {
+    assert.strictEqual(await detect({ 'public/index.html': '<html data-wf-site="123"></html>' }), 'webflow');
+    assert.strictEqual(await detect({ 'index.html': '<script src="https://static.memberstack.com/dom.js"></script>' }), 'vanilla');
+    assert.strictEqual(await detect({ 'package.json': { dependencies: { '@memberstack/dom': '^1.9.0' } } }), 'vanilla');
+  },
+
+  'nothing to go on is no framework': async () => {
+    assert.strictEqual(await detect({}), null);
+    assert.strictEqual(await detect({ 'package.json': '{ not json' }), null);
+    assert.strictEqual(await detect({ 'package.json': { dependencies: { express: '^4.0.0' } } }), null);
+  },
+
+  'an install adds the detected framework\'s setup and context pack': () => withProject({
+    'package.json': { dependencies: { react: '18.0.0', '@memberstack/dom': '^1.9.0' } }
+  }, async dir => {
+    const { code, stdout, stderr } = await runCli(dir, ['--ai', 'claude', '--no-mcp']);
+    assert.strictEqual(code, 0, stderr);
+    assert.match(stdout, /Detected React; adding its setup example and context pack/);
+    const claude = read(dir, 'CLAUDE.md');
+    assert.ok(claude.includes('## React Setup'));
+    assert.ok(claude.includes('`.memberstack/frameworks/react.md`'));
+    assert.ok(exists(dir, '.memberstack/frameworks/react.md'));
+    // Detected, not chosen, so not pinned
+    assert.ok(!('framework' in JSON.parse(read(dir, '.memberstackrc'))));
+  }),
+
+  'without --ai, CI installs for the AI tools already set up': () => withProject({
+    '.cursor/mcp.json': { mcpServers: {} },
+    'GEMINI.md': '# Gemini notes\n'
+  }, async dir => {
+    const { code, stdout, stderr } = await runCli(dir, ['--no-mcp']);
+    assert.strictEqual(code, 0, stderr);
+    assert.match(stdout, /Detected Cursor, Gemini CLI/);
+    assert.deepStrictEqual(JSON.parse(read(dir, '.memberstackrc')).aiTools, ['cursor', 'gemini']);
+    assert.ok(exists(dir, '.cursorrules'));
+    assert.ok(read(dir, 'GEMINI.md').startsWith('# Gemini notes\n'));
+    assert.ok(!exists(dir, 'CLAUDE.md'));
+  }),
+
+  'without --ai or anything set up, CI installs the default tools': () => withProject({}, async dir => {
+    const { code, stderr } = await runCli(dir, ['--no-mcp']);
+    assert.strictEqual(code, 0, stderr);
+    assert.deepStrictEqual(JSON.parse(read(dir, '.memberstackrc')).aiTools, targets.getDefaultTargetIds());
+  }),
+
+  'a context pack names the docs release it was collected from': () => {
+    const pack = renderContextPack('react', complete, { docsVersion: 'v1.2.0' });
+    assert.match(pack.split('\n\n')[1], /collected from the Memberstack docs \(v1\.2\.0\)\./);
+    assert.ok(!pack.includes(`(${index.version})`));
+  },
+
+  'installed packs carry the docs release recorded in the manifest': () => withProject({}, async dir => {
+    const { code, stderr } = await runCli(dir, ['--ai', 'claude', '--no-mcp', '--framework', 'next']);
+    assert.strictEqual(code, 0, stderr);
+    const { docsVersion } = JSON.parse(read(dir, '.memberstack/manifest.json'));
+    const [title, intro] = read(dir, '.memberstack/frameworks/next.md').split('\n\n');
+    assert.strictEqual(title, '# Memberstack for Next.js');
+    assert.ok(intro.includes(`collected from the Memberstack docs (${docsVersion}).`), intro);
+  })
+};
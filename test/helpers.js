@@ -0,0 +1,55 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'bin', 'install.js');
+
+// Writes files ({ 'relative/path': string or JSON value }) under dir
+function writeFiles(dir, files) {
+  Object.entries(files).forEach(([file, content]) => {
+    const filePath = path.join(dir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  });
+}
+
+// Runs test(dir) in a temporary project holding files, then deletes the project
+async function withProject(files, test) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memberstack-test-'));
+  try {
+    writeFiles(dir, files);
+    return await test(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Runs the CLI in dir as CI would; resolves with { code, stdout, stderr } whatever the exit code
+function runCli(dir, args, env = {}) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { cwd: dir, env: { ...process.env, CI: '1', ...env } }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+const read = (dir, file) => fs.readFileSync(path.join(dir, file), 'utf-8');
+const exists = (dir, file) => fs.existsSync(path.join(dir, file));
+
+// A docs mirror on localhost serving files ({ '/v1.2.0/docs/memberstack-index.json': content })
+async function serveFiles(files) {
+  const server = http.createServer((request, response) => {
+    const content = files[request.url];
+    response.writeHead(content === undefined ? 404 : 200);
+    response.end(content === undefined ? 'Not Found' : content);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { writeFiles, withProject, runCli, read, exists, serveFiles };
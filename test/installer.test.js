@@ -0,0 +1,100 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { withProject, runCli, read, exists, serveFiles } = require('./helpers');
+const packageJson = require('../package.json');
+
+const DOCS_DIR = path.join(__dirname, '..', 'docs');
+const DOC_SOURCES = ['memberstack-complete.md', 'memberstack-index.json', 'memberstack-quickref.md'];
+
+// Mirror paths for a release whose docs are the bundled ones, with overrides
+function release(tag, overrides = {}) {
+  return Object.fromEntries(DOC_SOURCES.map(source => [
+    `/${tag}/docs/${source}`,
+    overrides[source] || fs.readFileSync(path.join(DOCS_DIR, source), 'utf-8')
+  ]));
+}
+
+module.exports = {
+  'the bundled docs are labelled by their content, not a release tag': () => withProject({}, async dir => {
+    const { code, stderr } = await runCli(dir, ['--ai', 'claude', '--no-mcp']);
+    assert.strictEqual(code, 0, stderr);
+    const { docsVersion, source } = JSON.parse(read(dir, '.memberstack/manifest.json'));
+    assert.match(docsVersion, /^bundled-[0-9a-f]{8}$/);
+    assert.strictEqual(source, 'bundled');
+    assert.ok(read(dir, 'CLAUDE.md').includes(`Documentation Version: ${docsVersion}`));
+  }),
+
+  "pinning the package version's tag downloads that release": () => withProject({}, async dir => {
+    const tag = `v${packageJson.version}`;
+    const mirror = await serveFiles(release(tag));
+    try {
+      const { code, stdout, stderr } = await runCli(dir, ['--ai', 'claude', '--no-mcp', '--docs-version', tag, '--docs-mirror', mirror.url]);
+      assert.strictEqual(code, 0, stderr);
+      assert.match(stdout, new RegExp(`Downloaded complete\\.md \\(${tag}\\)`));
+      const manifest = JSON.parse(read(dir, '.memberstack/manifest.json'));
+      assert.deepStrictEqual([manifest.docsVersion, manifest.source], [tag, 'remote']);
+    } finally {
+      await mirror.close();
+    }
+  }),
+
+  'an install whose docs fail validation exits non-zero without claiming success': () => withProject({}, async dir => {
+    // Like the hand-maintained indexes of older releases: totalMethods disagrees with methodDetails
+    const index = JSON.parse(fs.readFileSync(path.join(DOCS_DIR, 'memberstack-index.json'), 'utf-8'));
+    const mirror = await serveFiles(release('v1.2.0', {
+      'memberstack-index.json': JSON.stringify({ ...index, totalMethods: index.totalMethods + 3 })
+    }));
+    try {
+      const { code, stdout, stderr } = await runCli(dir, ['--ai', 'claude', '--no-mcp', '--docs-version', 'v1.2.0', '--docs-mirror', mirror.url]);
+      assert.strictEqual(code, 1);
+      assert.match(stdout, /index\.json does not match the index schema: \/totalMethods/);
+      assert.ok(!stdout.includes('installed successfully'));
+      assert.match(stderr, /The installed files failed validation/);
+      // --update would download the same release, so the hint names the pin
+      assert.match(stdout, /pinned to v1\.2\.0, so if the problem is in that release, --update installs it again/);
+      assert.match(stdout, /remove docsVersion from \.memberstackrc/);
+    } finally {
+      await mirror.close();
+    }
+  }),
+
+  '--remove deletes the agent files the install created once they are empty': () => withProject({
+    'package.json': { name: 'monorepo', private: true, workspaces: ['packages/*'] },
+    'packages/app/package.json': { name: 'app', dependencies: { '@memberstack/dom': '^1.9.0' } },
+    'AGENTS.md': '# Our agent notes\n'
+  }, async dir => {
+    const install = await runCli(dir, ['--ai', 'claude,cursor,codex', '--cursor-format', 'legacy', '--no-mcp', '--workspaces']);
+    assert.strictEqual(install.code, 0, install.stderr);
+    const { aiFiles } = JSON.parse(read(dir, '.memberstack/manifest.json'));
+    assert.deepStrictEqual(aiFiles.filter(entry => entry.created).map(entry => entry.file).sort(),
+      ['packages/app/.cursorrules', 'packages/app/AGENTS.md', 'packages/app/CLAUDE.md']);
+
+    const remove = await runCli(dir, ['--remove']);
+    assert.strictEqual(remove.code, 0, remove.stderr);
+    ['packages/app/.cursorrules', 'packages/app/AGENTS.md', 'packages/app/CLAUDE.md', '.memberstack'].forEach(file => {
+      assert.ok(!exists(dir, file), `${file} was left behind`);
+    });
+    assert.ok(exists(dir, 'packages/app/package.json'));
+    // Only in the workspace packages; the root AGENTS.md was never touched
+    assert.strictEqual(read(dir, 'AGENTS.md'), '# Our agent notes\n');
+  }),
+
+  '--remove keeps files that existed before the install': () => withProject({ 'CLAUDE.md': '# Project notes\n' }, async dir => {
+    await runCli(dir, ['--ai', 'claude', '--no-mcp']);
+    // An update keeps the file marked as not ours
+    await runCli(dir, ['--update']);
+    assert.ok(!JSON.parse(read(dir, '.memberstack/manifest.json')).aiFiles[0].created);
+
+    fs.writeFileSync(path.join(dir, 'CLAUDE.md'), read(dir, 'CLAUDE.md').replace('# Project notes\n', ''));
+    const { code, stderr } = await runCli(dir, ['--remove']);
+    assert.strictEqual(code, 0, stderr);
+    assert.strictEqual(read(dir, 'CLAUDE.md').trim(), '');
+  }),
+
+  '--offline refuses a pinned tag instead of installing the bundled docs under its name': () => withProject({}, async dir => {
+    const { code, stderr } = await runCli(dir, ['--ai', 'claude', '--offline', '--docs-version', `v${packageJson.version}`]);
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /--offline installs the bundled docs \(bundled-[0-9a-f]{8}\) and can't provide v/);
+  })
+};
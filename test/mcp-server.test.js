@@ -0,0 +1,81 @@
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const MemberstackMcpServer = require('../src/mcp-server');
+
+// Feeds lines to a server running on the bundled docs and returns its responses
+async function exchange(lines) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const server = new MemberstackMcpServer({ memberstackDir: path.join(os.tmpdir(), 'memberstack-none'), input, output });
+  const done = server.start();
+  input.end(lines.map(line => `${line}\n`).join(''));
+  await done;
+  return String(output.read() || '').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+const call = (id, name, args) => JSON.stringify({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } });
+
+module.exports = {
+  'messages that are not request objects get Invalid Request and the server keeps going': async () => {
+    const responses = await exchange([
+      'null',
+      '42',
+      '"initialize"',
+      '[]',
+      JSON.stringify({ jsonrpc: '2.0', id: 7 }),
+      JSON.stringify({ jsonrpc: '2.0', id: 8, method: 'ping' })
+    ]);
+    assert.deepStrictEqual(responses.map(response => [response.id, response.error ? response.error.code : 'ok']), [
+      [null, -32600],
+      [null, -32600],
+      [null, -32600],
+      [null, -32600],
+      [7, -32600],
+      [8, 'ok']
+    ]);
+  },
+
+  'unparseable lines get Parse error': async () => {
+    const [response] = await exchange(['{"jsonrpc": "2.0",']);
+    assert.deepStrictEqual(response, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+  },
+
+  'notifications get no response': async () => {
+    const responses = await exchange([JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })]);
+    assert.deepStrictEqual(responses, []);
+  },
+
+  'unknown methods and tools are errors': async () => {
+    const [method, tool] = await exchange([
+      JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'resources/list' }),
+      call(2, 'delete_everything', {})
+    ]);
+    assert.strictEqual(method.error.code, -32601);
+    assert.strictEqual(tool.error.code, -32602);
+  },
+
+  'search_methods rejects a limit that is not a positive integer': async () => {
+    const responses = await exchange([-1, 0, 2.5, 'abc', '3'].map((limit, i) => call(i + 1, 'search_methods', { query: 'login', limit })));
+    responses.forEach(response => {
+      assert.strictEqual(response.error.code, -32602, JSON.stringify(response));
+      assert.match(response.error.message, /^limit must be a positive integer, not /);
+    });
+  },
+
+  'search_methods returns at most limit results': async () => {
+    const [limited, unlimited] = await exchange([
+      call(1, 'search_methods', { query: 'login', limit: 2 }),
+      call(2, 'search_methods', { query: 'login' })
+    ]);
+    assert.strictEqual(JSON.parse(limited.result.content[0].text).length, 2);
+    assert.ok(JSON.parse(unlimited.result.content[0].text).length > 2);
+  },
+
+  'get_method documents methods without a heading of their own': async () => {
+    const [response] = await exchange([call(1, 'get_method', { name: 'memberstack.init' })]);
+    assert.ok(!response.result.isError);
+    assert.match(response.result.content[0].text, /^# init\nCategory: initialization/);
+  }
+};
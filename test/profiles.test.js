@@ -0,0 +1,43 @@
+const assert = require('assert');
+const { PROFILES, resolveCategories, filterIndex } = require('../src/profiles');
+const index = require('../docs/memberstack-index.json');
+
+module.exports = {
+  'every profile names only categories the bundled index has': () => {
+    Object.entries(PROFILES).filter(([, categories]) => categories).forEach(([profile, categories]) => {
+      assert.deepStrictEqual(categories.filter(name => !index.categories[name]), [], profile);
+    });
+  },
+
+  'each profile resolves to its own categories': () => {
+    assert.deepStrictEqual(resolveCategories(index, { profile: 'minimal' }), PROFILES.minimal);
+    assert.deepStrictEqual(resolveCategories(index, { profile: 'standard' }), PROFILES.standard);
+    assert.strictEqual(resolveCategories(index, { profile: 'full' }), null);
+    assert.strictEqual(resolveCategories(index, {}), null);
+  },
+
+  'the minimal profile installs the initialization methods': () => {
+    const filtered = filterIndex(index, resolveCategories(index, { profile: 'minimal' }));
+    const names = filtered.methodDetails.map(method => method.name);
+    ['init', 'getApp', 'loginMemberEmailPassword', 'getCurrentMember'].forEach(name => assert.ok(names.includes(name), name));
+    assert.ok(!names.includes('getPlans'));
+    assert.ok(filtered.excluded.methods.includes('getPlans'));
+  },
+
+  '--include and --exclude adjust the profile': () => {
+    assert.deepStrictEqual(resolveCategories(index, { profile: 'minimal', include: ['teams'], exclude: ['members'] }),
+      ['initialization', 'authentication', 'teams']);
+    assert.deepStrictEqual(resolveCategories(index, { include: ['billing'] }), ['billing']);
+  },
+
+  'a profile naming a category the index lacks fails': () => {
+    const { initialization, ...categories } = index.categories;
+    assert.throws(() => resolveCategories({ ...index, categories }, { profile: 'minimal' }),
+      /Profile 'minimal' names unknown category 'initialization'/);
+  },
+
+  'an unknown --include or --exclude category fails': () => {
+    assert.throws(() => resolveCategories(index, { include: ['payments'] }), /Unknown category 'payments'/);
+    assert.throws(() => resolveCategories(index, { exclude: ['payments'] }), /Unknown category 'payments'/);
+  }
+};
@@ -0,0 +1,18 @@
+const assert = require('assert');
+const installer = require('../src/installer');
+const MemberstackSearch = require('../src/search');
+const index = require('../docs/memberstack-index.json');
+
+module.exports = {
+  '--limit must be a positive whole number': async () => {
+    for (const limit of ['abc', '0', '-3', '2.5', '']) {
+      await assert.rejects(installer.search('login', { limit }), /--limit must be a positive whole number/, `--limit ${limit}`);
+    }
+  },
+
+  'results are ranked and limited': () => {
+    const results = new MemberstackSearch(index).search('reset password', { limit: 2 });
+    assert.strictEqual(results.length, 2);
+    assert.ok(results.some(result => result.name === 'resetMemberPassword'), results.map(result => result.name).join(', '));
+  }
+};
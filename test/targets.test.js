@@ -0,0 +1,123 @@
+const assert = require('assert');
+const path = require('path');
+const targets = require('../src/targets');
+const { withProject, runCli, read, exists } = require('./helpers');
+
+const cursor = targets.getTarget('cursor');
+const cursorFormat = (dir, options = {}) => targets.resolveOutput(cursor, { projectRoot: dir, options }).name;
+
+module.exports = {
+  'Cursor uses .cursorrules unless MDC is asked for or already installed': () => withProject({}, async dir => {
+    assert.strictEqual(cursorFormat(dir), 'legacy');
+    assert.strictEqual(cursorFormat(dir, { cursorFormat: 'mdc' }), 'mdc');
+    assert.throws(() => cursorFormat(dir, { cursorFormat: 'json' }), /Unknown Cursor format 'json'\. Use 'legacy' or 'mdc'\./);
+
+    await runCli(dir, ['--ai', 'cursor', '--cursor-format', 'mdc', '--no-mcp']);
+    assert.strictEqual(cursorFormat(dir), 'mdc');
+    assert.strictEqual(cursorFormat(dir, { cursorFormat: 'legacy' }), 'legacy');
+  }),
+
+  'an MDC rule needs description and globs frontmatter': () => {
+    const mdc = cursor.outputs.find(output => output.name === 'mdc');
+    assert.strictEqual(mdc.check('---\ndescription: Memberstack\nglobs: **/*.js\n---\nbody'), null);
+    assert.strictEqual(mdc.check('---\ndescription: Memberstack\n---\nbody'), 'is missing description/globs frontmatter');
+    assert.strictEqual(mdc.check('no frontmatter'), 'is missing description/globs frontmatter');
+  },
+
+  'switching to MDC moves the section out of a shared .cursorrules': () => withProject({
+    '.cursorrules': 'Always use TypeScript.\n'
+  }, async dir => {
+    const legacy = await runCli(dir, ['--ai', 'cursor', '--no-mcp']);
+    assert.strictEqual(legacy.code, 0, legacy.stderr);
+    assert.ok(read(dir, '.cursorrules').includes('# MEMBERSTACK-AI-DOCS-START'));
+
+    const mdc = await runCli(dir, ['--update', '--cursor-format', 'mdc']);
+    assert.strictEqual(mdc.code, 0, mdc.stderr);
+    assert.strictEqual(read(dir, '.cursorrules').trimEnd(), 'Always use TypeScript.');
+    const rule = read(dir, '.cursor/rules/memberstack.mdc');
+    assert.match(rule, /^---\ndescription: Memberstack DOM[^\n]*\nglobs: \*\*\/\*\.js,[^\n]*\nalwaysApply: false\n---\n<!-- MEMBERSTACK-AI-DOCS-START -->/);
+    assert.strictEqual(JSON.parse(read(dir, '.memberstackrc')).cursorFormat, 'mdc');
+
+    // The saved format sticks without the flag
+    const update = await runCli(dir, ['--update']);
+    assert.strictEqual(update.code, 0, update.stderr);
+    assert.ok(!read(dir, '.cursorrules').includes('MEMBERSTACK'));
+    assert.ok(exists(dir, '.cursor/rules/memberstack.mdc'));
+  }),
+
+  'a .cursorrules left empty by the migration is removed': () => withProject({}, async dir => {
+    await runCli(dir, ['--ai', 'cursor', '--no-mcp']);
+    const { code, stdout, stderr } = await runCli(dir, ['--update', '--cursor-format', 'mdc']);
+    assert.strictEqual(code, 0, stderr);
+    assert.match(stdout, /Removed empty \.cursorrules after migrating to \.cursor\/rules\/memberstack\.mdc/);
+    assert.ok(!exists(dir, '.cursorrules'));
+  }),
+
+  'moving back to .cursorrules removes the MDC rule': () => withProject({}, async dir => {
+    await runCli(dir, ['--ai', 'cursor', '--cursor-format', 'mdc', '--no-mcp']);
+    const { code, stderr } = await runCli(dir, ['--update', '--cursor-format', 'legacy']);
+    assert.strictEqual(code, 0, stderr);
+    assert.ok(read(dir, '.cursorrules').includes('# MEMBERSTACK-AI-DOCS-START'));
+    assert.ok(!exists(dir, '.cursor'));
+  }),
+
+  'registerTarget rejects bad definitions': () => {
+    assert.throws(() => targets.registerTarget({ id: 'Zed', file: '.rules' }), /Invalid target id 'Zed'/);
+    assert.throws(() => targets.registerTarget({ file: '.rules' }), /Invalid target id 'undefined'/);
+    assert.throws(() => targets.registerTarget({ id: 'claude', file: 'CLAUDE.md' }), /A target with id 'claude' is already registered/);
+    assert.throws(() => targets.registerTarget({ id: 'test-no-file' }), /Target 'test-no-file' needs a file path/);
+    assert.throws(() => targets.registerTarget({ id: 'test-markers', file: '.rules', markers: 'xml' }),
+      /Target 'test-markers' uses unknown marker style 'xml' \(expected html or hash\)/);
+    assert.strictEqual(targets.getTarget('test-markers'), null);
+  },
+
+  'a registered target gets defaults and is detected by its file': () => withProject({ '.test-rules': '' }, async dir => {
+    const target = targets.registerTarget({ id: 'test-defaults', file: '.test-rules' });
+    assert.strictEqual(target.label, 'test-defaults');
+    assert.strictEqual(target.default, false);
+    assert.deepStrictEqual(target.outputs.map(output => [output.name, output.template, output.ownsFile]), [['default', 'generic', false]]);
+    assert.strictEqual(target.outputs[0].markers, targets.MARKER_STYLES.html);
+    assert.strictEqual(targets.getTarget('test-defaults'), target);
+    assert.ok(target.detect({ projectRoot: dir }));
+    assert.ok(!target.detect({ projectRoot: path.join(dir, 'elsewhere') }));
+  }),
+
+  'selecting an output that doesn\'t exist is an error': () => {
+    const target = targets.registerTarget({ id: 'test-select', file: '.rules', select: () => 'mdc' });
+    assert.throws(() => targets.resolveOutput(target, {}), /Target 'test-select' has no output named 'mdc'/);
+  },
+
+  'config targets resolve template paths against the project': () => {
+    targets.registerConfigTargets({
+      targets: [
+        { id: 'test-config-path', file: '.rules', template: 'docs/rules.md' },
+        { id: 'test-config-layout', file: '.rules', template: 'claude' },
+        { id: 'test-config-outputs', outputs: [{ name: 'main', file: '.rules', template: 'templates/rules.md' }] }
+      ]
+    }, '/project');
+    assert.strictEqual(targets.getTarget('test-config-path').outputs[0].template, path.resolve('/project', 'docs/rules.md'));
+    assert.strictEqual(targets.getTarget('test-config-layout').outputs[0].template, 'claude');
+    assert.strictEqual(targets.getTarget('test-config-outputs').outputs[0].template, path.resolve('/project', 'templates/rules.md'));
+  },
+
+  'a target declared in .memberstackrc installs, validates and removes like a built-in': () => withProject({
+    '.memberstackrc': {
+      targets: [{ id: 'zed', label: 'Zed', file: '.rules', markers: 'hash', template: 'docs/zed-template.md' }]
+    },
+    'docs/zed-template.md': '{{markerStart}}\nMemberstack docs for {{toolName}} are in `{{memberstackDir}}/`.\n{{markerEnd}}\n'
+  }, async dir => {
+    const install = await runCli(dir, ['--ai', 'zed', '--no-mcp']);
+    assert.strictEqual(install.code, 0, install.stderr);
+    assert.strictEqual(read(dir, '.rules'),
+      '# MEMBERSTACK-AI-DOCS-START\nMemberstack docs for Zed are in `.memberstack/`.\n# MEMBERSTACK-AI-DOCS-END');
+
+    const validate = await runCli(dir, ['--validate']);
+    assert.strictEqual(validate.code, 0, validate.stderr);
+    assert.match(validate.stdout, /✓ \.rules contains Memberstack section/);
+
+    const remove = await runCli(dir, ['--remove']);
+    assert.strictEqual(remove.code, 0, remove.stderr);
+    assert.ok(!exists(dir, '.rules'));
+    assert.ok(exists(dir, 'docs/zed-template.md'));
+  })
+};
@@ -0,0 +1,16 @@
+const assert = require('assert');
+const TemplateRenderer = require('../src/template-renderer');
+const index = require('../docs/memberstack-index.json');
+
+module.exports = {
+  'the footer shows the docs release, not the index format version': () => {
+    const footer = new TemplateRenderer(index, { docsVersion: 'v1.3.0', sections: ['footer'] })
+      .render('generic', { toolName: 'Test', markerStart: '', markerEnd: '' });
+    assert.match(footer, /Documentation Version: v1\.3\.0/);
+    assert.ok(!footer.includes(index.version));
+  },
+
+  'the index format version is not a template variable': () => {
+    assert.ok(!('version' in new TemplateRenderer(index).getVariables()));
+  }
+};
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { extractTypes, linkTypes, renderTypesFile, isTypesFile } = require('../src/types');
+const { withProject, runCli, read } = require('./helpers');
+const index = require('../docs/memberstack-index.json');
+
+const complete = fs.readFileSync(path.join(__dirname, '..', 'docs', 'memberstack-complete.md'), 'utf-8');
+const types = extractTypes(complete);
+const byName = name => types.find(type => type.name === name);
+
+module.exports = {
+  'Data Tables declarations are extracted, keyword or not': () => {
+    assert.strictEqual(byName('QueryDataRecordsParams').code.split('\n')[0], 'type QueryDataRecordsParams = {');
+    assert.ok(byName('WhereClause'));
+    assert.ok(byName('ReferenceOperation'));
+    assert.strictEqual(byName('QueryDataRecordsParams').section, 'Data Tables');
+  },
+
+  'declarations using a type the docs never declare are left out': () => {
+    // GetDataRecordsPayload uses DataRecordResponse
+    assert.ok(!byName('GetDataRecordsPayload'));
+  },
+
+  'data-table methods link their parameter types': () => {
+    const linked = linkTypes(index, types).methodDetails;
+    const method = name => linked.find(candidate => candidate.name === name);
+    assert.deepStrictEqual(method('queryDataRecords').types, { params: 'QueryDataRecordsParams', payload: 'QueryDataRecordsPayload' });
+    assert.deepStrictEqual(method('deleteDataRecord').types, { params: 'DeleteDataRecordParams' });
+  },
+
+  'types.d.ts names the docs release, not the index format version': () => {
+    const content = renderTypesFile(types, { docsVersion: 'v1.2.0' });
+    assert.ok(isTypesFile(content));
+    assert.strictEqual(content.split('\n')[1], "// by memberstack-ai-docs (docs v1.2.0). Regenerated on every install; don't edit.");
+    assert.ok(!content.includes(index.version));
+  },
+
+  'the installed types.d.ts carries the docs release recorded in the manifest': () => withProject({}, async dir => {
+    const { code, stderr } = await runCli(dir, ['--ai', 'claude', '--no-mcp', '--types', 'src/memberstack.d.ts']);
+    assert.strictEqual(code, 0, stderr);
+    const { docsVersion } = JSON.parse(read(dir, '.memberstack/manifest.json'));
+    ['.memberstack/types.d.ts', 'src/memberstack.d.ts'].forEach(file => {
+      assert.ok(read(dir, file).split('\n')[1].includes(`(docs ${docsVersion})`), file);
+    });
+  }),
+
+  'data-table parameters are the fields of the params object': () => {
+    const method = index.methodDetails.find(candidate => candidate.name === 'queryDataRecords');
+    assert.deepStrictEqual(method.parameters.map(param => param.name), ['table', 'query']);
+  }
+};
@@ -0,0 +1,88 @@
+const assert = require('assert');
+const { findWorkspacePackages, readWorkspacePatterns } = require('../src/workspaces');
+const { withProject, runCli, read, exists } = require('./helpers');
+
+const USES_MEMBERSTACK = { dependencies: { '@memberstack/dom': '^1.9.0' } };
+
+module.exports = {
+  'npm workspaces: packages that depend on @memberstack/dom in any dependency field': () => withProject({
+    'package.json': { name: 'root', workspaces: ['packages/*'] },
+    'packages/web/package.json': { name: 'web', ...USES_MEMBERSTACK },
+    'packages/admin/package.json': { name: 'admin', peerDependencies: { '@memberstack/dom': '*' } },
+    'packages/api/package.json': { name: 'api', dependencies: { express: '^4.0.0' } },
+    'packages/web/node_modules/dep/package.json': { name: 'dep', ...USES_MEMBERSTACK },
+    'tools/script/package.json': { name: 'script', ...USES_MEMBERSTACK }
+  }, async dir => {
+    assert.deepStrictEqual(readWorkspacePatterns(dir), { manager: 'npm', patterns: ['packages/*'] });
+    assert.deepStrictEqual(findWorkspacePackages(dir), [
+      { name: 'admin', dir: 'packages/admin' },
+      { name: 'web', dir: 'packages/web' }
+    ]);
+  }),
+
+  'yarn workspaces: the packages field': () => withProject({
+    'package.json': { name: 'root', private: true, workspaces: { packages: ['apps/*'], nohoist: [] } },
+    'apps/site/package.json': { name: 'site', ...USES_MEMBERSTACK }
+  }, async dir => {
+    assert.strictEqual(readWorkspacePatterns(dir).manager, 'yarn');
+    assert.deepStrictEqual(findWorkspacePackages(dir), [{ name: 'site', dir: 'apps/site' }]);
+  }),
+
+  'pnpm workspaces: quoted, recursive and negated globs': () => withProject({
+    'pnpm-workspace.yaml': [
+      '# Packages in this repo',
+      'packages:',
+      "  - 'apps/**'",
+      '  - "libs/*"   # shared code',
+      "  - '!apps/legacy'",
+      'catalog:',
+      '  - not-a-package'
+    ].join('\n'),
+    'package.json': { name: 'root', workspaces: ['ignored/*'] },
+    'apps/marketing/web/package.json': { name: 'marketing-web', ...USES_MEMBERSTACK },
+    'apps/legacy/package.json': { name: 'legacy', ...USES_MEMBERSTACK },
+    'libs/auth/package.json': { devDependencies: { '@memberstack/dom': '^1.9.0' } },
+    'ignored/app/package.json': { name: 'ignored', ...USES_MEMBERSTACK }
+  }, async dir => {
+    assert.deepStrictEqual(readWorkspacePatterns(dir), { manager: 'pnpm', patterns: ['apps/**', 'libs/*', '!apps/legacy'] });
+    // Unnamed packages go by their directory
+    assert.deepStrictEqual(findWorkspacePackages(dir), [
+      { name: 'marketing-web', dir: 'apps/marketing/web' },
+      { name: 'libs/auth', dir: 'libs/auth' }
+    ]);
+  }),
+
+  'a project without workspaces is an error': () => withProject({ 'package.json': { name: 'app' } }, async dir => {
+    assert.strictEqual(readWorkspacePatterns(dir), null);
+    assert.throws(() => findWorkspacePackages(dir), /No workspaces found in .* \(expected pnpm-workspace\.yaml or "workspaces" in package\.json\)/);
+  }),
+
+  '--workspaces shares the root docs with an agent file per package': () => withProject({
+    'package.json': { name: 'root', workspaces: ['apps/*', 'packages/*'] },
+    'apps/site/package.json': { name: 'site', ...USES_MEMBERSTACK },
+    'packages/ui/package.json': { name: 'ui', ...USES_MEMBERSTACK },
+    'packages/utils/package.json': { name: 'utils' }
+  }, async dir => {
+    const { code, stdout, stderr } = await runCli(dir, ['--ai', 'claude', '--no-mcp', '--workspaces']);
+    assert.strictEqual(code, 0, stderr);
+    assert.match(stdout, /Workspace packages using @memberstack\/dom: apps\/site, packages\/ui/);
+    ['apps/site', 'packages/ui'].forEach(pkg => {
+      assert.ok(read(dir, `${pkg}/CLAUDE.md`).includes('../../.memberstack/index.json'), pkg);
+      assert.ok(!exists(dir, `${pkg}/.memberstack`), pkg);
+    });
+    assert.ok(!exists(dir, 'CLAUDE.md'));
+    assert.ok(!exists(dir, 'packages/utils/CLAUDE.md'));
+    assert.ok(exists(dir, '.memberstack/index.json'));
+    assert.strictEqual(JSON.parse(read(dir, '.memberstackrc')).workspaces, true);
+  }),
+
+  '--workspaces fails when no package uses Memberstack': () => withProject({
+    'package.json': { name: 'root', workspaces: ['packages/*'] },
+    'packages/utils/package.json': { name: 'utils' }
+  }, async dir => {
+    const { code, stderr } = await runCli(dir, ['--ai', 'claude', '--workspaces']);
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /No workspace packages in .* depend on @memberstack\/dom/);
+    assert.ok(!exists(dir, '.memberstack'));
+  })
+};